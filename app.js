@@ -1,5 +1,30 @@
 class SalesAgentApp {
-    constructor() {
+    /**
+     * WebSocket close code the backend uses for a missing, invalid or expired token
+     */
+    static get WS_AUTH_REJECTED() {
+        return 4401;
+    }
+
+    /**
+     * The only messages a supervisor's socket may send - monitor mode is read-only
+     */
+    static get SUPERVISOR_MESSAGE_TYPES() {
+        return ['client_hello', 'ping', 'pong', 'monitor_subscribe', 'monitor_unsubscribe'];
+    }
+
+    /**
+     * How long connection_ready waits for a separate server_hello before the backend counts as legacy
+     */
+    static get HANDSHAKE_WAIT_MS() {
+        return 1500;
+    }
+
+    constructor(runtimeConfig = new RuntimeConfig()) {
+        // Deployment-tunable settings (config.json + backend client_config), see runtime-config.js
+        this.runtimeConfig = runtimeConfig;
+        const settings = runtimeConfig.values;
+
         this.socket = null;
         this.isRecording = false;
         this.intentionalDisconnect = false;
@@ -7,18 +32,24 @@ class SalesAgentApp {
         this.token = null;
         this.sessionId = null;
         this.currentUser = null;
+        this.role = 'agent';              // 'agent' | 'supervisor', from the login response
         this.currentCustomerIndex = null; // Will be set when ending call
         this.stream = null;
+        this.micSource = null;            // MediaStreamSource feeding the worklet; swapped on device change
+        this.sharedAudioRing = null;      // SharedArrayBuffer capture path, when the page is cross-origin isolated
         this.audioContext = null;
         this.workletNode = null;
         this.audioBuffer = [];
         this.bufferDuration = 0;
-        this.maxBufferDuration = 80;   // Send every 80ms chunk for true real-time
-        this.minChunkSize = 1280;      // Minimum samples per chunk (80ms at 16kHz)
+        this.chunkMs = settings.audio.chunkMs;               // Uplink chunk length (80ms by default)
+        this.maxBufferDuration = this.chunkMs;               // Send every chunk for true real-time
+        this.minChunkSize = Math.round(this.chunkMs * 16);   // Samples per chunk at 16kHz
         this.realTimeMode = true;      // Enable real-time continuous streaming
         this.isCallActive = false;
+        this.isMuted = false;          // microphone keeps running, but nothing is sent and barge-in is off
         this.startingNewCall = false;  // Flag to prevent WebSocket race conditions during call transitions
         this.autoStartFlow = false;    // Flag for initial auto-start after login
+        this.autoStartDeferred = false; // Auto-start held back until the pre-call audio check passes
 
         this.currentAiResponseDiv = null;
         this.audioQueue = [];
@@ -37,16 +68,13 @@ class SalesAgentApp {
         this.clientVAD = null;
         this.vadEnabled = false;
         this.lastInterruptTime = 0;
-        this.minInterruptInterval = 2000; // Increased for background noise protection
-        
-        // VAD sensitivity settings (tuned for background noise rejection)
-        this.vadConfig = {
-            sileroThreshold: 0.75,      // Higher threshold = less sensitive
-            energyThreshold: 0.05,      // Higher threshold = less sensitive  
-            minSpeechMs: 400,          // Longer minimum = ignore brief sounds
-            minSilenceMs: 300,         // Longer silence = more confident end detection
-            interruptThreshold: 0.85    // Very high confidence required for interruption
-        };
+        this.minInterruptInterval = settings.bargeIn.minInterruptIntervalMs; // Background noise protection
+        
+        // VAD sensitivity settings (tuned for background noise rejection; see runtime config `vad`)
+        this.vadConfig = { ...settings.vad };
+
+        // Feedback grace periods after AI audio starts, per barge-in path
+        this.bargeInConfig = { ...settings.bargeIn };
         
         // REMOVED: Complex validation logic for immediate interrupts
         this.lastInterruptWasValid = true;
@@ -69,24 +97,274 @@ class SalesAgentApp {
         // Client-side deduplication to prevent race conditions
         this.recentAudioHashes = new Map();
 
-        // Use the config.js configuration instead of hardcoded URLs
-        this.config = window.config || {
-            apiUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-                ? 'http://localhost:8000'
-                : 'https://voiceagent.rebortai.com',
-            wsUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-                ? 'ws://localhost:8000'
-                : 'wss://voiceagent.rebortai.com'
-        };
+        // Uplink framing: 'json' (base64 envelope) until the server opts into binary frames
+        this.audioFraming = 'json';
+        this.audioSequence = 0;
+
+        // Uplink audio format: the operator's per-call preference and what this call actually uses
+        this.preferredUplinkFormat = settings.features.opusUplink && localStorage.getItem('uplink_format') === 'opus' ? 'opus' : 'pcm16';
+        this.uplinkFormat = 'pcm16';
+        this.supportedUplinkFormats = ['pcm16'];
+        this.opusEncoder = null;
+
+        // Protocol handshake state - filled in from server_hello (or a versioned connection_ready)
+        this.serverProtocolVersion = null;
+        this.serverCapabilities = null;  // null = legacy backend that predates the handshake
+        this.protocolError = null;       // set when the server's protocol version is incompatible
+        this.pendingConnectionReady = null;  // { message, timer } while connection_ready waits for server_hello
+
+        // Automatic reconnection after unexpected socket drops
+        this.reconnectManager = new ReconnectManager({
+            baseDelayMs: 500,
+            maxDelayMs: 15000,
+            maxAttempts: 8
+        });
+        this.resumingSession = false;   // Set while re-establishing a dropped socket for the same session
+        this.callActiveBeforeDrop = false;
+        this.setupReconnectCallbacks();
+
+        // Client-side liveness detection so half-open sockets get noticed and replaced (runtime config `heartbeat`)
+        this.heartbeatMonitor = new HeartbeatMonitor({ ...settings.heartbeat });
+        this.setupHeartbeatCallbacks();
+
+        // Opt-in WebSocket recorder (?record=1 or the ?debug=1 panel) and replay of recorded sessions
+        this.sessionRecorder = new SessionRecorder({ includeAudio: false });
+        this.sessionReplayer = null;
+        this.isReplaying = false;
+
+        // Per-turn STT/LLM/TTS latency, measured client-side
+        this.latencyTracker = new TurnLatencyTracker({ maxTurns: 200 });
+        this.latencyTracker.setCallbacks({
+            onTurnComplete: (turn, summary) => this.renderLatencyPanel(turn, summary)
+        });
+
+        // Schema-validated routing of server messages; problems land in protocol diagnostics
+        this.protocol = new ProtocolRouter({ diagnosticsLimit: 200 });
+        this.registerProtocolHandlers();
+
+        // Prioritised outbound sender - keeps audio from piling up in socket.bufferedAmount
+        this.outboundQueue = new OutboundQueue({
+            maxBufferedBytes: 32 * 1024,
+            maxQueuedAudio: 3
+        });
+        this.outboundQueue.setCallbacks({
+            onSend: (payload) => this.sessionRecorder.record('out', payload)
+        });
+
+        // Capture processing (browser constraints + worklet clean-up), defaults from runtime config
+        this.captureSettings = new CaptureSettings(settings.capture);
+        this.captureMonitorEnabled = false;
+        this.captureMonitorTime = 0;      // audioContext time the next monitored chunk starts at
+
+        // Live input meter, clipping and dead-mic alerts fed by the worklet's level reports
+        this.inputLevel = new InputLevelMonitor({
+            deadMicSeconds: settings.meter.deadMicSeconds,
+            silenceFloorDb: settings.meter.silenceFloorDb
+        });
+
+        // Pre-call audio check; a pass is kept per microphone for audioCheck.validHours
+        this.audioCheck = new AudioCheck({ validHours: settings.audioCheck.validHours });
+        this.audioCheckRunning = false;
+        this.audioCheckRecording = null;
+        this.audioCheckResult = null;
+
+        // Input device choice, hot-swap and unplug handling
+        this.microphone = new MicrophoneManager({ audioConstraints: this.captureSettings.constraints });
+        this.microphoneSwitch = null;   // promise of the switch in progress; later requests queue behind it
+
+        // Backend URLs come from the selected environment profile in config.js
+        this.config = window.config;
+
+        // Access token lifetime: proactive refresh, one retry on 401, expiry handling
+        this.auth = new AuthSession({ getApiUrl: () => this.config.apiUrl });
+        this.sessionExpiredNotified = false;
+        this.socketAuthRetried = false;   // one refresh-and-retry per rejected WebSocket auth
+        this.setupAuthCallbacks();
+
+        // Supervisor monitor mode: read-only subscription to another agent's session
+        this.monitoredSessionId = null;
+        this.listenIn = false;
+        this.sessionListTimer = null;
+        this.monitorPlayer = new MonitorAudioPlayer();   // listen-in audio, kept apart from the TTS queue
+
+        // Only one tab may own the microphone and socket for a session
+        this.tabCoordinator = null;
+        this.isStandby = false;
+
+        // Signed-in session and transcript survive a tab reload (sessionStorage)
+        this.sessionStore = new SessionStore();
+        this.lastTranscriptHandle = null;
+        this.currentAiTranscript = null;   // transcript id of the streamed AI line being persisted
+    }
+
+    setupReconnectCallbacks() {
+        this.reconnectManager.setCallbacks({
+            onAttempt: (attempt, maxAttempts) => {
+                this.updateConnectionStatus('reconnecting', `Reconnecting (${attempt}/${maxAttempts})...`);
+            },
+            onReconnected: () => {
+                this.addMessage('System', 'Connection restored.', 'system');
+            },
+            onGiveUp: (error) => {
+                this.handleReconnectGiveUp(error);
+            }
+        });
+    }
+
+    get isSupervisor() {
+        return this.role === 'supervisor';
+    }
+
+    setupAuthCallbacks() {
+        this.auth.setCallbacks({
+            onRefreshed: (accessToken) => {
+                this.token = accessToken;
+                this.persistSession();
+            },
+            onExpired: (error) => {
+                this.handleSessionExpired(error);
+            }
+        });
+    }
+
+    setupHeartbeatCallbacks() {
+        this.heartbeatMonitor.setCallbacks({
+            onPing: () => {
+                this.sendWebSocketMessage({ type: 'ping', timestamp: Date.now() });
+            },
+            onStateChange: (state) => {
+                if (state === 'degraded') {
+                    this.updateConnectionStatus('degraded', 'Connection unstable');
+                } else if (state === 'healthy') {
+                    this.updateConnectionStatus('connected');
+                }
+            },
+            onDead: (quietMs) => {
+                this.forceReconnect(`no data from server for ${Math.round(quietMs / 1000)}s`);
+            }
+        });
     }
 
     init() {
         console.log('🚀 Initializing SalesAgentApp...');
         this.setupEventListeners();
-        this.initializeClientVAD();
-        this.showLogin();
-        
+        this.applyUiOptions();
+        this.setupDebugPanel();
+        this.setupSettingsPanel();
+        this.setupSupervisorPanel();
+        this.setupMicrophonePicker();
+        this.setupCaptureSettings();
+        this.setupInputLevelMeter();
+        this.setupAudioCheck();
+        if (this.runtimeConfig.isEnabled('clientVad')) {
+            this.initializeClientVAD();
+        } else {
+            console.log('📶 Client VAD disabled by runtime config - using server-side VAD');
+        }
+        this.detectUplinkFormats();
+
+        this.restoreSession().then((restored) => {
+            if (!restored) {
+                this.showLogin();
+            }
+        });
+    }
+
+    /**
+     * Save what a reload needs to pick this session back up
+     */
+    persistSession() {
+        if (!this.isLoggedIn || this.isReplaying) return;
+        if (this.tabCoordinator && !this.isStandby) {
+            this.tabCoordinator.publishState({ callActive: this.isCallActive, customerIndex: this.currentCustomerIndex });
+        }
+        this.sessionStore.saveSession({
+            token: this.auth.accessToken,
+            refreshToken: this.auth.refreshToken,
+            sessionId: this.sessionId,
+            user: this.currentUser,
+            role: this.role,
+            customerIndex: this.currentCustomerIndex,
+            callActive: this.isCallActive
+        });
+    }
+
+    /**
+     * Resume a session saved before the tab was reloaded: reconnect to the same /ws/{session},
+     * re-request session info and redraw the transcript. Returns false if there's nothing usable.
+     */
+    async restoreSession() {
+        const saved = this.sessionStore.loadSession();
+        if (!saved) return false;
+
+        this.auth.setTokens({ access_token: saved.token, refresh_token: saved.refreshToken });
+        if (this.auth.isExpired() && !(await this.auth.refresh())) {
+            console.log('🔒 Saved session token expired - signing in again');
+            this.auth.clear();
+            this.sessionStore.clear();
+            return false;
+        }
+
+        console.log(`♻️ Restoring session ${saved.sessionId} for ${saved.user}`);
+        this.token = this.auth.accessToken;
+        this.sessionId = saved.sessionId;
+        this.currentUser = saved.user;
+        this.role = saved.role === 'supervisor' ? 'supervisor' : 'agent';
+        this.currentCustomerIndex = saved.customerIndex;
+        this.isLoggedIn = true;
+        this.intentionalDisconnect = false;
+
+        this.showMainApp({ autoStart: false });
+
+        this.sessionStore.loadTranscript().forEach((entry) => {
+            this.addMessage(entry.sender, entry.text, entry.type, { time: entry.time, persist: false });
+        });
+        if (this.currentCustomerIndex) {
+            this.updateCallStatus(`Customer #${this.currentCustomerIndex}`, 'calling');
+        }
+
+        if (!(await this.claimSessionTab())) {
+            this.enterStandby();
+            return true;
+        }
+
+        // The reconnect path re-sends start_call (resume) for a live call and asks for session info
+        this.resumingSession = true;
+        this.callActiveBeforeDrop = !!saved.callActive;
+        try {
+            await this.connectWebSocket();
+        } catch (error) {
+            // The socket's close handler has already handed this to the reconnect manager
+            console.error('❌ Could not reconnect restored session:', error.message || error);
+        }
+
+        // Browsers won't reopen the microphone without a click after a reload
+        if (this.isSupervisor) {
+            // Supervisors pick a session to monitor again from the list
+        } else if (saved.callActive) {
+            this.addMessage('System', 'Session restored after reload. Press the microphone to resume the call.', 'system');
+        } else {
+            this.addMessage('System', 'Session restored after reload.', 'system');
+        }
+        this.persistSession();
+        return true;
+    }
+
+    /**
+     * Hide optional panels the deployment has switched off
+     */
+    applyUiOptions() {
+        const ui = this.runtimeConfig.values.ui;
+
+        const latencyPanel = document.getElementById('latencyPanel');
+        if (latencyPanel && !ui.showLatencyPanel) {
+            latencyPanel.parentElement.classList.add('hidden');
+        }
 
+        const uplinkSelect = document.getElementById('uplinkFormatSelect');
+        if (uplinkSelect && (!ui.showUplinkFormatSelect || !this.runtimeConfig.isEnabled('opusUplink'))) {
+            uplinkSelect.parentElement.classList.add('hidden');
+        }
     }
 
     async initializeClientVAD() {
@@ -119,18 +397,18 @@ class SalesAgentApp {
                 },
                 onVADUpdate: (speechProb, isSpeaking) => {
                     // IMMEDIATE INTERRUPTION: Only trigger during AI speech with high confidence
-                    if (this.isAiSpeaking && isSpeaking && speechProb > this.vadConfig.interruptThreshold) {
+                    if (this.isAiSpeaking && isSpeaking && speechProb > this.vadConfig.interruptThreshold && this.canSendClientInterrupt()) {
                         const currentTime = Date.now();
                         const timeSinceAudioStart = currentTime - (this.lastAudioStartTime || 0);
                         
                         // Prevent interrupting immediately after AI starts speaking (audio feedback protection)
-                        if (timeSinceAudioStart < 1000) {  // Increased to 1 second for better protection
+                        if (timeSinceAudioStart < this.bargeInConfig.clientFeedbackGraceMs) {
                             console.log(`🔊 Ignoring potential audio feedback (${timeSinceAudioStart}ms after audio start)`);
                             return;
                         }
                         
                         // Prevent rapid fire interrupts - increased delay
-                        if (currentTime - this.lastInterruptTime < 2000) {  // Increased from 1s to 2s
+                        if (currentTime - this.lastInterruptTime < this.minInterruptInterval) {
                             console.log(`⏰ Ignoring rapid interrupt (${currentTime - this.lastInterruptTime}ms since last)`);
                             return;
                         }
@@ -148,15 +426,13 @@ class SalesAgentApp {
                         // STEP 1: Immediately stop audio playback
                         this.stopAudioPlayback();
                         
-                        // STEP 2: Send interrupt signal to server immediately
-                        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                            this.socket.send(JSON.stringify({ 
-                                type: 'interrupt',
-                                source: 'silero_vad_immediate',
-                                speechProb: speechProb,
-                                timestamp: currentTime
-                            }));
-                        }
+                        // STEP 2: Send interrupt signal to server immediately (jumps ahead of queued audio)
+                        this.sendWebSocketMessage({
+                            type: 'interrupt',
+                            source: 'silero_vad_immediate',
+                            speechProb: speechProb,
+                            timestamp: currentTime
+                        });
                         
                         // STEP 3: Start false positive detection timer
                         this.startFalsePositiveTimer();
@@ -192,13 +468,13 @@ class SalesAgentApp {
      * Update the audio worklet processor with current VAD configuration
      */
     updateWorkletVADConfig() {
-        if (this.audioWorkletNode) {
-            this.audioWorkletNode.port.postMessage({
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({
                 type: 'vadConfig',
                 data: {
                     threshold: this.vadConfig.energyThreshold,
-                    minSpeechDurationMs: this.vadConfig.minSpeechMs,
-                    minSilenceDurationMs: this.vadConfig.minSilenceMs
+                    minSpeechDurationMs: this.vadConfig.energyMinSpeechMs,
+                    minSilenceDurationMs: this.vadConfig.energyMinSilenceMs
                 }
             });
             console.log('🔧 Updated worklet VAD config:', this.vadConfig);
@@ -254,9 +530,9 @@ class SalesAgentApp {
      * Speech resume functionality - handles false positive recovery
      */
     requestSpeechResume() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
             console.log('🔄 Requesting speech resume after false positive');
-            this.ws.send(JSON.stringify({ type: 'resume_speech' }));
+            this.sendWebSocketMessage({ type: 'resume_speech' });
         }
     }
 
@@ -284,838 +560,2694 @@ class SalesAgentApp {
     }
 
     handleVADSpeechEnd(speechProb) {
-        // Optional: Could be used for end-of-speech processing
-        // Currently not needed for barge-in functionality
+        // End of user speech opens a latency turn; barge-in doesn't need it
+        this.latencyTracker.markSpeechEnd();
     }
 
     setupEventListeners() {
         // Set up global event listeners
         window.addEventListener('beforeunload', () => {
+            this.sessionStore.flushTranscript();
             this.intentionalDisconnect = true;
             if (this.socket) {
                 this.socket.close();
             }
         });
-        
 
-    }
+        document.getElementById('takeOverTabBtn').addEventListener('click', () => this.takeOverTab());
 
-    showLogin() {
-        document.getElementById('loginScreen').classList.remove('hidden');
-        document.getElementById('mainApp').classList.add('hidden');
-        
-        // Remove existing event listener if any
-        const loginForm = document.getElementById('loginForm');
-        const newLoginForm = loginForm.cloneNode(true);
-        loginForm.parentNode.replaceChild(newLoginForm, loginForm);
-        
-        // Add fresh event listener
-        document.getElementById('loginForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.handleLogin();
-        });
+        // Uplink format toggle applies from the next call so PCM and Opus calls can be compared
+        const uplinkSelect = document.getElementById('uplinkFormatSelect');
+        if (uplinkSelect) {
+            uplinkSelect.value = this.preferredUplinkFormat;
+            uplinkSelect.addEventListener('change', () => {
+                this.preferredUplinkFormat = uplinkSelect.value;
+                localStorage.setItem('uplink_format', uplinkSelect.value);
+                if (this.isCallActive) {
+                    this.addMessage('System', `Uplink audio will switch to ${uplinkSelect.value === 'opus' ? 'Opus' : 'PCM'} on the next call.`, 'system');
+                }
+            });
+        }
     }
 
-    async handleLogin() {
-        const username = document.getElementById('username').value;
-        const password = document.getElementById('password').value;
-        const submitButton = document.querySelector('#loginForm button[type="submit"]');
+    /**
+     * Wire the recorder/replay panel; ?debug=1 shows it, ?record=1 starts recording immediately
+     */
+    setupDebugPanel() {
+        const params = new URLSearchParams(window.location.search);
+        const panel = document.getElementById('debugPanel');
+        if (!panel || !this.runtimeConfig.isEnabled('sessionRecorder')) return;
 
-        // Prevent multiple submissions
-        if (submitButton.disabled) return;
-        
-        console.log('Attempting login for:', username);
-        console.log('API URL:', this.config.apiUrl);
+        if (params.has('debug') || params.has('record')) {
+            panel.classList.remove('hidden');
+        }
 
-        // Disable button and show loading state
-        submitButton.disabled = true;
-        submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Signing In...';
+        const audioToggle = document.getElementById('recordAudioToggle');
+        audioToggle.addEventListener('change', () => {
+            this.sessionRecorder.setIncludeAudio(audioToggle.checked);
+        });
 
-        try {
-            const response = await fetch(`${this.config.apiUrl}/login`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
-            });
-            
-            console.log('Login response status:', response.status);
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('Login successful, data:', data);
-                
-                this.token = data.access_token;
-                this.sessionId = data.session_id;
-                this.currentUser = username;
-                this.isLoggedIn = true;
-                
-                console.log('✅ Login successful - showing main app');
-                this.showMainApp(); 
-                
-                // Auto-start flow: Connect WebSocket and wait for customer data
-                console.log('🤖 Starting automatic flow - connecting WebSocket...');
-                this.autoStartFlow = true; // Enable auto-start flow
-                setTimeout(async () => {
-                    try {
-                        await this.connectWebSocket();
-                        console.log('✅ WebSocket connected, waiting for customer data...');
-                    } catch (error) {
-                        console.error('❌ WebSocket connection failed:', error.message);
-                        this.autoStartFlow = false; // Reset flag on error
-                    }
-                }, 500);  // Small delay to ensure UI is ready
+        document.getElementById('recordToggleBtn').addEventListener('click', () => {
+            if (this.sessionRecorder.isRecording) {
+                this.stopSessionRecording();
             } else {
-                const error = await response.json();
-                console.error('Login failed with error:', error);
-                this.showError('Login failed: ' + (error.detail || 'Unknown error'));
+                this.startSessionRecording();
             }
-        } catch (error) {
-            console.error('Login request failed:', error);
-            this.showError('Login failed. Please check your connection and try again.');
-        } finally {
-            // Re-enable button
-            submitButton.disabled = false;
-            submitButton.innerHTML = 'Sign In';
-        }
-    }
+        });
 
-    showMainApp() {
-        document.getElementById('loginScreen').classList.add('hidden');
-        document.getElementById('mainApp').classList.remove('hidden');
-        document.getElementById('micBtn').addEventListener('click', () => { this.toggleCall(); });
-        document.getElementById('logoutBtn').addEventListener('click', () => { this.logout(); });
-        document.getElementById('endCallBtn').addEventListener('click', () => { this.showEndCallModal(); });
-        document.getElementById('confirmEndCall').addEventListener('click', () => { this.endCall(); });
-        document.getElementById('cancelEndCall').addEventListener('click', () => { this.hideEndCallModal(); });
-        
-        // Handle call summary dropdown changes
-        document.getElementById('callSummarySelect').addEventListener('change', (e) => { this.handleSummaryChange(e); });
-        
-        const userElement = document.getElementById('currentUser');
-        if (userElement) { 
-            userElement.textContent = this.currentUser; 
-        } else {
-            // If currentUser element doesn't exist, just log the user
-            console.log(`Logged in as: ${this.currentUser}`);
+        document.getElementById('recordDownloadBtn').addEventListener('click', () => {
+            if (this.sessionRecorder.entries.length === 0) {
+                this.showError('Nothing recorded yet');
+                return;
+            }
+            this.sessionRecorder.download();
+        });
+
+        document.getElementById('replayFileInput').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                await this.replayRecordingFile(file);
+            }
+        });
+
+        if (params.get('record') === 'audio') {
+            audioToggle.checked = true;
+            this.sessionRecorder.setIncludeAudio(true);
+        }
+        if (params.has('record')) {
+            this.startSessionRecording();
         }
-        
-        // AUTO-START: Automatically start the call after login
-        console.log(' Auto-starting call after successful login...');
-        setTimeout(() => {
-            this.startCall().catch(err => {
-                console.error(' Failed to auto-start call:', err);
-                this.showError('Failed to start call. Please click the microphone button to retry.');
-            });
-        }, 500); // Small delay to ensure UI is ready
     }
 
+    /**
+     * Wire the backend settings modal (reachable from the login screen and the header)
+     */
+    setupSettingsPanel() {
+        const select = document.getElementById('envProfileSelect');
+        if (!select || typeof Config === 'undefined') return;
 
+        Object.entries(Config.PROFILES).forEach(([name, profile]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = profile.apiUrl ? `${profile.label} (${profile.apiUrl})` : profile.label;
+            option.style.background = '#4a5568';
+            option.style.color = 'white';
+            select.appendChild(option);
+        });
 
-    async connectWebSocket() {
-        return new Promise((resolve, reject) => {
-            try {
-                if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                    resolve();
-                    return;
-                }
-                
-                if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
-                    const timeout = setTimeout(() => reject(new Error('Connection timeout')), 45000);
-                    const checkInterval = setInterval(() => {
-                        if (this.socket.readyState === WebSocket.OPEN) {
-                            clearInterval(checkInterval);
-                            clearTimeout(timeout);
-                            resolve();
-                        } else if (this.socket.readyState === WebSocket.CLOSED) {
-                            clearInterval(checkInterval);
-                            clearTimeout(timeout);
-                            reject(new Error('Connection failed'));
-                        }
-                    }, 100);
-                    return;
-                }
-                
-                this.socket = new WebSocket(`${this.config.wsUrl}/ws/${this.sessionId}`);
+        select.addEventListener('change', () => {
+            document.getElementById('customBackendSection').classList.toggle('hidden', select.value !== 'custom');
+            this.setSettingsStatus('');
+        });
 
-                this.socket.onopen = () => {
-                    this.updateConnectionStatus(true);
-                    resolve();
-                };
+        document.getElementById('loginSettingsBtn').addEventListener('click', () => this.openSettings());
+        document.getElementById('settingsBtn').addEventListener('click', () => this.openSettings());
+        document.getElementById('cancelSettingsBtn').addEventListener('click', () => this.closeSettings());
+        document.getElementById('saveSettingsBtn').addEventListener('click', () => this.saveSettings());
+        document.getElementById('confirmBackendOverrideBtn').addEventListener('click', () => this.confirmBackendOverride());
+        document.getElementById('dismissBackendOverrideBtn').addEventListener('click', () => {
+            this.config.dismissPendingOverride();
+            document.getElementById('backendOverridePrompt').classList.add('hidden');
+        });
 
-                this.socket.onmessage = (event) => {
-                    this.handleWebSocketMessage(event);
-                };
+        if (this.config.pendingOverride) {
+            document.getElementById('backendOverrideHost').textContent = new URL(this.config.pendingOverride).host;
+            document.getElementById('backendOverridePrompt').classList.remove('hidden');
+        }
 
-                this.socket.onclose = () => {
-                    this.updateConnectionStatus(false);
-                };
+        this.updateBackendLabel();
+    }
 
-                this.socket.onerror = (error) => {
-                    reject(error);
-                };
+    /**
+     * The operator trusts the ?backend= link: verify the host answers before the login form uses it
+     */
+    async confirmBackendOverride() {
+        const button = document.getElementById('confirmBackendOverrideBtn');
+        const status = document.getElementById('backendOverrideStatus');
+        if (button.disabled) return;
 
-                setTimeout(() => {
-                    if (this.socket && this.socket.readyState !== WebSocket.OPEN) {
-                        reject(new Error('WebSocket connection timeout'));
-                    }
-                }, 45000);
-
-            } catch (error) {
-                this.showError('Failed to connect to server');
-                reject(error);
+        button.disabled = true;
+        status.textContent = 'Checking backend...';
+        try {
+            const result = await this.config.confirmPendingOverride();
+            if (!result.ok) {
+                status.textContent = result.error;
+                return;
             }
-        });
+            document.getElementById('backendOverridePrompt').classList.add('hidden');
+            this.updateBackendLabel();
+        } finally {
+            button.disabled = false;
+        }
     }
 
-    // Helper function to safely send WebSocket messages with retry
-    async sendWebSocketMessage(message, maxRetries = 3) {
-        let attempts = 0;
-        while (attempts < maxRetries) {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(JSON.stringify(message));
-                return true;
-            }
-            if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                attempts++;
-                continue;
+    openSettings() {
+        const select = document.getElementById('envProfileSelect');
+        select.value = this.config.profile;
+        document.getElementById('customBackendUrl').value = this.config.profile === 'custom' ? this.config.apiUrl : '';
+        document.getElementById('customBackendSection').classList.toggle('hidden', select.value !== 'custom');
+        this.setSettingsStatus(this.config.isOverridden ? 'This page was opened with a backend override link.' : '');
+        document.getElementById('settingsModal').classList.remove('hidden');
+    }
+
+    closeSettings() {
+        document.getElementById('settingsModal').classList.add('hidden');
+    }
+
+    setSettingsStatus(text, isError = false) {
+        const status = document.getElementById('settingsStatus');
+        status.textContent = text;
+        status.classList.toggle('text-red-300', isError);
+    }
+
+    /**
+     * Verify the chosen backend before switching; the current session belongs to the old
+     * backend, so a signed-in agent is sent back to the login screen afterwards
+     */
+    async saveSettings() {
+        const profile = document.getElementById('envProfileSelect').value;
+        const customUrl = document.getElementById('customBackendUrl').value;
+        const saveButton = document.getElementById('saveSettingsBtn');
+
+        if (this.isCallActive) {
+            this.setSettingsStatus('End the current call before switching backends.', true);
+            return;
+        }
+        if (saveButton.disabled) return;
+
+        const previousApiUrl = this.config.apiUrl;
+        saveButton.disabled = true;
+        this.setSettingsStatus('Checking backend...');
+
+        try {
+            const result = await this.config.switchProfile(profile, customUrl);
+            if (!result.ok) {
+                this.setSettingsStatus(result.error, true);
+                return;
             }
-            // Socket not ready and not connecting - wait a bit longer
-            if (attempts === 0) {
-                await new Promise(resolve => setTimeout(resolve, 200));
-                attempts++;
-                continue;
+
+            this.updateBackendLabel();
+            this.closeSettings();
+            if (result.apiUrl !== previousApiUrl && this.isLoggedIn) {
+                this.logout();
             }
-            break;
+        } finally {
+            saveButton.disabled = false;
         }
-        console.warn('❌ Failed to send WebSocket message after', maxRetries, 'attempts:', message.type);
-        return false;
     }
 
-    // Safe version that doesn't require await
-    sendWebSocketMessageAsync(message, maxRetries = 3) {
-        this.sendWebSocketMessage(message, maxRetries).catch(err => {
-            console.error('Error sending WebSocket message:', err);
+    updateBackendLabel() {
+        const label = document.getElementById('loginBackendLabel');
+        if (label) {
+            const profile = Config.PROFILES[this.config.profile];
+            const version = this.config.capabilities && this.config.capabilities.backendVersion;
+            label.textContent = `${profile ? profile.label : this.config.profile} (${this.config.apiUrl})${version ? ` v${version}` : ''}`;
+        }
+    }
+
+    /**
+     * Become the tab that owns this session, unless another tab already does.
+     * Supervisors don't stream audio, so any number of their tabs may run.
+     */
+    async claimSessionTab() {
+        if (this.isSupervisor || typeof TabCoordinator === 'undefined') {
+            return true;
+        }
+
+        if (this.tabCoordinator) {
+            this.tabCoordinator.close();
+        }
+        this.tabCoordinator = new TabCoordinator(this.sessionId);
+        this.tabCoordinator.setCallbacks({
+            onLost: () => this.enterStandby(),
+            onOwnerState: (state) => this.updateStandbyBanner(state)
         });
+        return this.tabCoordinator.claim();
     }
 
-    handleWebSocketMessage(event) {
-        const message = JSON.parse(event.data);
+    /**
+     * Stand down: another tab owns the session. The socket and microphone are released here
+     * without logging out, so this tab can take over again later.
+     */
+    enterStandby() {
+        console.log('🗂️ Session is active in another tab - standing by');
+        this.isStandby = true;
+        this.autoStartFlow = false;
 
-        switch (message.type) {
-            case 'connection_ready':
-                console.log('✅ WebSocket connection ready:', message.message);
-                this.updateCallStatus('Ready to start calls', 'waiting');
-                
-                // If in auto-start flow, fetch customer data
-                if (this.autoStartFlow) {
-                    console.log('🔍 Auto-start flow: Fetching customer data...');
-                    // Use safe send with retry to ensure message is delivered
-                    this.sendWebSocketMessageAsync({
-                        type: 'start_call'
-                    }, 3);
-                }
-                break;
-            case 'heartbeat':
-                // Backend heartbeat - respond with pong to keep connection alive
-                // This also resets the connection timeout on proxies/firewalls
-                if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                    this.socket.send(JSON.stringify({
-                        type: 'pong',
-                        timestamp: message.timestamp
-                    }));
-                    console.log(' Pong sent in response to heartbeat');
-                }
-                break;
-            case 'transcription':
-                this.addMessage('You', message.text, 'user');
-                // Mark that user has actually spoken (not false positive)
-                this.userHasSpoken = true;
-                if (this.falsePositiveTimer) {
-                    clearTimeout(this.falsePositiveTimer);
-                    this.falsePositiveTimer = null;
-                }
-                break;
-            case 'simple_greeting':
-                // Handle periodic "hi" greetings - don't add to chat history
-                console.log('👋 Received simple greeting:', message.text);
-                if (message.audio) {
-                    console.log('Playing simple greeting audio');
-                    this.playAudio(message.audio, message.sample_rate);
-                }
-                break;
-            case 'ai_response':
-                // Full AI response (like introduction)
-                this.addMessage('MARK (AI Agent)', message.text, 'agent');
-                if (message.audio) {
-                    console.log('Playing AI response audio (single)');
-                    this.playAudio(message.audio, message.sample_rate);
-                }
-                break;
-            case 'partial_transcription':
-                this.showPartialTranscription(message.text);
-                break;
-            case 'ai_partial_response':
-                this.appendAiText(message.text);
-                break;
-            case 'ai_response_chunk':
-                this.audioQueue.push({
-                    data: message.audio,
-                    sampleRate: message.sample_rate
-                });
-                if (!this.isAudioPlaying) {
-                    this.playNextAudioChunk();
-                }
-                break;
-            case 'ai_response_end':
-                this.currentAiResponseDiv = null;
-                break;
-            case 'vad_status':
-                // Server-side VAD is now only used for status display
-                // Client-side VAD handles immediate interruption for zero latency
-                this.updateVadStatus(message.speech_detected, message.timestamp);
-                
-                // Fallback: If client-side VAD is not available, use server-side VAD for barge-in
-                if (!this.vadEnabled && this.isAiSpeaking) {
-                    // Only proceed if speech is detected (skip buffer operations for non-speech)
-                    if (message.speech_detected) {
-                        // Add reading to server VAD buffer for sustained speech confirmation
-                        this.serverVADBuffer.push({
-                            timestamp: Date.now(),
-                            speechDetected: true
-                        });
-                        
-                        const now = Date.now();
-                        const timeSinceAudioStart = now - (this.lastAudioStartTime || 0);
-                        
-                        // Don't interrupt immediately after audio starts (likely feedback)
-                        if (timeSinceAudioStart < 1200) {  // Reduced grace period for faster response
-                            break;
-                        }
-                        
-                        // Confirm sustained speech activity before interrupting
-                        const isSustainedSpeech = this.confirmServerSpeechActivity(message.speech_detected);
-                        
-                        if (!isSustainedSpeech) {
-                            break;
-                        }
-                        
-                        // Prevent rapid fire interrupts
-                        if (now - this.lastInterruptTime < this.minInterruptInterval * 1.5) {  // Reduced multiplier
-                            break;
-                        }
-                        
-                        this.lastInterruptTime = now;
-                        
-                        // Send interrupt signal to server
-                        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                            this.socket.send(JSON.stringify({ 
-                                type: 'interrupt',
-                                source: 'server_vad_fallback'
-                            }));
-                        }
-                        // Stop client audio playback
-                        this.stopAudioPlayback();
-                        
-                        // REMOVED: Validation delay for immediate interrupts
-                        console.log('✅ Server VAD interrupt accepted immediately');
-                    }
-                }
-                break;
-            case 'stop_audio':
-                console.log('🛑 Server signaled to stop audio. Halting playback.', {
-                    immediate: message.immediate,
-                    force_stop: message.force_stop,
-                    force: message.force,
-                    priority: message.priority
-                });
-                
-                // Enhanced stop with priority handling
-                if (message.immediate || message.force_stop || message.force) {
-                    this.stopAudioPlaybackImmediate();
-                } else {
-                    this.stopAudioPlayback();
-                }
-                break;
-            case 'clear_audio_buffers':
-                console.log('🧹 Server signaled to clear all audio buffers. Deep cleaning...', {
-                    force: message.force
-                });
-                
-                // Enhanced clearing with force option
-                if (message.force) {
-                    this.clearAllAudioBuffersForced();
-                } else {
-                    this.clearAllAudioBuffers();
-                }
-                break;
-            case 'audio_interrupt':
-                console.log('⚡ Server audio interrupt signal received', {
-                    clear_all: message.clear_all
-                });
-                
-                // Immediate interrupt with optional complete clear
-                this.stopAudioPlaybackImmediate();
-                if (message.clear_all) {
-                    this.clearAllAudioBuffersForced();
-                }
-                break;
-            case 'session_refreshed':
-                console.log('Session refreshed:', message.message);
-                // CRITICAL: Do NOT start a new call automatically
-                // Clear the conversation area
-                const convArea = document.getElementById('conversationArea');
-                if (convArea) { 
-                    convArea.innerHTML = ''; 
-                }
-                // Reset the current AI response div
-                this.currentAiResponseDiv = null;
-                // Clear audio queue
-                this.audioQueue = [];
-                this.isAudioPlaying = false;
-                // Ensure call is marked as inactive
-                this.isCallActive = false;
-                // Show a system message about the refresh
-                this.addMessage('System', 'Session refreshed! Ready for next call.', 'system');
-                // Reset session info display
-                this.resetSessionInfoDisplay();
-                break;
-            case 'session_auto_refreshed':
-                console.log('Session auto-refreshed due to inactivity:', message.message);
-                // Show "Call Ended" modal while session refreshes
-                this.showCallEndedModal();
-                // CRITICAL: Do NOT start a new call automatically
-                // Clear the conversation area
-                const convAreaAuto = document.getElementById('conversationArea');
-                if (convAreaAuto) { 
-                    convAreaAuto.innerHTML = ''; 
-                }
-                // Reset the current AI response div
-                this.currentAiResponseDiv = null;
-                // Clear audio queue
-                this.audioQueue = [];
-                this.isAudioPlaying = false;
-                // Ensure call is marked as inactive
-                this.isCallActive = false;
-                // Show a system message about the auto-refresh
-                this.addMessage('System', '⏰ Session automatically refreshed due to 20 seconds of inactivity. Ready for next call!', 'system');
-                // Reset session info display
-                this.resetSessionInfoDisplay();
-                // Request updated session info after refresh
-                this.requestSessionInfo();
-                break;
-            case 'session_update':
-                this.updateSessionInfo(message.data);
-                // Hide call ended modal when session is ready
-                this.hideCallEndedModal();
-                break;
-            case 'error':
-                this.showError(message.message);
-                break;
-            case 'script_updated':
-                console.log('✅ Conversation script updated on backend:', message.message);
-                break;
-            case 'calling_index_assigned':
-                console.log('✅ Calling index assigned:', message.index);
-                this.currentCustomerIndex = message.index;
-                this.updateCallStatus(`Customer #${message.index}`, 'calling');
-                
-                // If in auto-start flow, automatically start the call
-                if (this.autoStartFlow) {
-                    console.log('🤖 Auto-start flow: Customer data loaded, starting call...');
-                    this.autoStartFlow = false; // Reset flag
-                    setTimeout(async () => {
-                        try {
-                            await this.startCall();
-                            console.log('✅ First call started automatically after customer data loaded');
-                        } catch (error) {
-                            console.error('❌ Auto-start failed after customer data:', error.message);
-                        }
-                    }, 500); // Small delay to ensure UI is updated
-                }
-                break;
-            case 'auto_start_next_call':
-                console.log(' Auto-starting next call with customer:', message.customer_index);
-                // Show "Call Ended" modal briefly before next call
-                this.showCallEndedModal();
-                this.updateCallStatus(`Customer #${message.customer_index}`, 'calling');
-                // Automatically start the call (async IIFE to handle await in non-async context)
-                (async () => {
-                    try {
-                        // Give user a moment to see the modal and ensure socket is ready
-                        await new Promise(resolve => setTimeout(resolve, 1500));
-                        
-                        // Ensure socket is ready
-                        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-                            console.log('🔗 Socket not ready for next call, reconnecting...');
-                            await this.connectWebSocket();
-                        }
-                        
-                        await this.startCall();
-                        // Hide modal when new call starts
-                        this.hideCallEndedModal();
-                    } catch (error) {
-                        console.error('Failed to auto-start call:', error);
-                        this.showError('Failed to auto-start next call: ' + error.message);
-                        // Hide modal even if call fails
-                        this.hideCallEndedModal();
-                    }
-                })();
-                break;
-            case 'no_calling_index':
-                console.log('⚠️ No calling index found');
-                this.updateCallStatus('❌ No customer with "calling" status found', 'error');
-                this.addMessage('System', message.message, 'system');
-                // Reset auto-start flow if no customer data available
-                if (this.autoStartFlow) {
-                    console.log('❌ Auto-start flow cancelled: No customer data available');
-                    this.autoStartFlow = false;
-                }
-                break;
-            case 'all_customers_completed':
-                console.log('✅ All customers completed');
-                this.updateCallStatus('✅ All customers completed', 'success');
-                this.addMessage('System', 'All customers have been processed.', 'system');
-                break;
-            case 'auto_refresh_customer_progressed':
-                console.log('🔄 Auto-refresh progressed to next customer');
-                if (message.customer_index) {
-                    this.updateCallStatus(`Moving to customer ${message.customer_index}...`, 'info');
-                }
-                break;
-            case 'auto_start_first_call':
-                console.log('🚀 Auto-starting first call');
-                this.updateCallStatus('Auto-starting call...', 'info');
-                // Trigger the start call button programmatically
-                if (message.customer_index) {
-                    this.currentCustomerIndex = message.customer_index;
-                }
-                break;
-            case 'next_customer_activated':
-                console.log('➡️ Next customer activated');
-                if (message.customer_index) {
-                    this.updateCallStatus(`Next customer ${message.customer_index} activated`, 'info');
-                }
-                break;
-            case 'next_customer_ready':
-                console.log('✅ Next customer ready');
-                if (message.customer_index) {
-                    this.updateCallStatus(`Customer ${message.customer_index} ready`, 'success');
-                }
-                break;
-            case 'session_status':
-                console.log('📊 Session status update:', message);
-                if (message.status) {
-                    this.updateCallStatus(message.status, 'info');
-                }
-                break;
-            case 'session_timer_started':
-                console.log('⏱️ Session timer started');
-                break;
-            case 'sheet_monitor_debug':
-                // Debug message from backend sheet monitoring
-                console.log('🔍 Sheet Monitor:', message);
-                break;
-            case 'status_updated':
-                console.log('📝 Status updated in sheet');
-                break;
-            case 'stt_status':
-                console.log('🎤 STT status:', message.status);
-                break;
-            case 'call_ended':
-                // Show "Call Ended" modal during processing
-                this.showCallEndedModal();
-                this.addMessage('System', `Call ended: ${message.message}`, 'system');
-                if (message.summary) {
-                    this.addMessage('System', `Call Summary: ${message.summary.call_summary}`, 'system');
-                    this.addMessage('System', `Lead Interest: ${message.summary.lead_interest}`, 'system');
-                }
-                const conversationArea = document.getElementById('conversationArea');
-                if (conversationArea) { conversationArea.innerHTML = ''; }
-                const micBtn = document.getElementById('micBtn');
-                micBtn.disabled = false;
-                micBtn.classList.remove('opacity-50');
-                this.resetSessionInfoDisplay();
-                break;
-            case 'script_updated':
-                console.log('✅ Conversation script updated successfully');
-                break;
+        if (this.isCallActive) {
+            this.stopCall();
+        }
+        this.stopAudioPlayback();
+        this.reconnectManager.reset();
+        this.heartbeatMonitor.stop();
+        this.outboundQueue.clear();
+        this.outboundQueue.detach();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;   // its close event is ignored once detached
+            socket.close(1000, 'Session moved to another tab');
         }
+
+        this.updateConnectionStatus(false, 'Active in another tab');
+        this.updateCallStatus('Active in another tab', 'waiting');
+        this.updateStandbyBanner(this.tabCoordinator ? this.tabCoordinator.ownerState : null);
+        document.getElementById('tabStandbyBanner').classList.remove('hidden');
     }
 
-    appendAiText(text) {
-        if (!this.currentAiResponseDiv) {
-            this.currentAiResponseDiv = this.addMessage('MARK (AI Agent)', text, 'agent');
+    updateStandbyBanner(state) {
+        const text = document.getElementById('tabStandbyText');
+        if (!text) return;
+        if (state && state.callActive) {
+            text.textContent = `A call${state.customerIndex ? ` with customer #${state.customerIndex}` : ''} is active in another tab.`;
         } else {
-            const textContent = this.currentAiResponseDiv.querySelector('.text-gray-800');
-            if (textContent) {
-                textContent.textContent += text;
+            text.textContent = 'This session is open in another tab.';
+        }
+    }
+
+    /**
+     * Move the session into this tab; the previous owner stands down and its live call continues here
+     */
+    async takeOverTab() {
+        if (!this.tabCoordinator || !(await this.tabCoordinator.takeOver())) {
+            this.showError('Could not take over the session from the other tab');
+            return;
+        }
+
+        const ownerState = this.tabCoordinator.ownerState || {};
+        console.log('🗂️ Took over session from another tab', ownerState);
+        this.isStandby = false;
+        document.getElementById('tabStandbyBanner').classList.add('hidden');
+        if (ownerState.customerIndex) {
+            this.currentCustomerIndex = ownerState.customerIndex;
+            this.updateCallStatus(`Customer #${ownerState.customerIndex}`, 'calling');
+        }
+
+        this.intentionalDisconnect = false;
+        this.resumingSession = true;
+        this.callActiveBeforeDrop = !!ownerState.callActive;
+        try {
+            await this.connectWebSocket();
+            // The click is a user gesture, so the microphone can reopen straight away
+            if (ownerState.callActive) {
+                await this.startCall();
             }
+        } catch (error) {
+            console.error('❌ Could not connect after taking over:', error.message || error);
         }
+        this.persistSession();
     }
 
-    async toggleCall() {
-        if (!this.isCallActive) {
-            await this.startCall();
-        } else {
-            this.stopCall();
+    /**
+     * Show the panels for the signed-in role; elements tagged data-role="agent|supervisor"
+     */
+    applyRoleView() {
+        document.querySelectorAll('[data-role]').forEach((element) => {
+            element.classList.toggle('role-hidden', element.dataset.role !== this.role);
+        });
+    }
+
+    setupSupervisorPanel() {
+        const listenToggle = document.getElementById('listenInToggle');
+        if (!listenToggle) return;
+
+        listenToggle.addEventListener('change', async () => {
+            this.listenIn = listenToggle.checked;
+            if (!this.listenIn) {
+                this.stopAudioPlayback();
+            } else {
+                await this.initializeWebAudio();
+            }
+            // Re-subscribe so the server starts or stops forwarding audio
+            if (this.monitoredSessionId) {
+                this.sendMonitorSubscribe(this.monitoredSessionId);
+            }
+        });
+
+        document.getElementById('refreshSessionsBtn').addEventListener('click', () => this.fetchActiveSessions());
+        document.getElementById('stopMonitorBtn').addEventListener('click', () => this.stopMonitoring());
+    }
+
+    startSupervisorMode() {
+        console.log('👀 Supervisor mode - listing active sessions');
+        this.updateCallStatus('Select a session to monitor', 'waiting');
+        this.setMonitorStatus('Not monitoring');
+        this.fetchActiveSessions();
+
+        clearInterval(this.sessionListTimer);
+        this.sessionListTimer = setInterval(() => this.fetchActiveSessions(), 10000);
+    }
+
+    stopSupervisorMode() {
+        clearInterval(this.sessionListTimer);
+        this.sessionListTimer = null;
+        this.monitoredSessionId = null;
+        this.listenIn = false;
+        const listenToggle = document.getElementById('listenInToggle');
+        if (listenToggle) {
+            listenToggle.checked = false;
         }
+        this.setMonitorStatus('Not monitoring');
     }
 
-    async startCall() {
+    async fetchActiveSessions() {
+        if (!this.isSupervisor) return;
+
         try {
-            if (this.isCallActive) {
+            const response = await this.auth.authorizedFetch(`${this.config.apiUrl}/supervisor/sessions`, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+            if (!response.ok) {
+                console.warn(`⚠️ Could not list sessions (${response.status})`);
                 return;
             }
-            
-            if (this.stream || this.audioContext) {
-                await this.cleanupAudioResources();
-            }
-            
-            this.isCallActive = true;
-            await this.initializeWebAudio();
-            
-            if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-                await this.connectWebSocket();
-            }
+            const data = await response.json();
+            this.renderSessionList(Array.isArray(data.sessions) ? data.sessions : []);
+        } catch (error) {
+            console.warn('⚠️ Could not list sessions:', error.message);
+        }
+    }
 
-            this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
+    renderSessionList(sessions) {
+        const list = document.getElementById('supervisorSessionList');
+        list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'text-white text-opacity-60 font-light tracking-wide';
+            empty.textContent = 'No active sessions';
+            list.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach((session) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center p-2 rounded-lg bg-white bg-opacity-10';
+
+            const label = document.createElement('div');
+            label.className = 'text-white';
+            const customer = session.customer_index ? ` · #${session.customer_index}` : '';
+            label.textContent = `${session.agent || session.session_id}${customer}`;
+            if (session.call_active) {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs text-green-300';
+                badge.textContent = '● live';
+                label.appendChild(badge);
             }
-            await this.audioContext.audioWorklet.addModule('audio-worklet-processor.js');
-            const source = this.audioContext.createMediaStreamSource(this.stream);
-            this.workletNode = new AudioWorkletNode(this.audioContext, 'audio-worklet-processor');
 
-            this.workletNode.port.onmessage = async (event) => {
-                if (!this.isCallActive) return;
-                
-                const { type, data } = event.data;
-                
-                if (type === 'audioData') {
-                    // Handle audio data for streaming to server
-                    const pcm16Buffer = data;
-                    console.log(`📊 Audio chunk received: ${pcm16Buffer.length} bytes`);
-                    
-                    // Real-time mode: send each chunk immediately for lowest latency
-                    if (this.realTimeMode) {
-                        this.sendRealTimeAudioChunk(pcm16Buffer);
-                    } else {
-                        // Fallback: buffer mode for compatibility
-                        this.audioBuffer.push(new Uint8Array(pcm16Buffer));
-                        this.bufferDuration += 80;  // Each chunk is ~80ms
-                        
-                        if (this.bufferDuration >= this.maxBufferDuration) {
-                            this.sendLiveAudioStream();
-                        }
-                    }
-                } else if (type === 'vadResult') {
-                    // Handle VAD result from worklet (immediate fallback)
-                    if (!this.vadEnabled) {
-                        const vadResult = data;
-                        
-                        // IMMEDIATE INTERRUPTION: Any speech during AI speaking triggers immediate stop
-                        if (vadResult.speechProb > 0.2 && this.isAiSpeaking) {
-                            console.log(`⚡ Worklet VAD: Immediate interrupt (${vadResult.speechProb.toFixed(3)})`);
-                            this.stopAudioPlayback();
-                            
-                            // Send immediate interrupt to server
-                            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                                this.socket.send(JSON.stringify({ 
-                                    type: 'interrupt',
-                                    source: 'worklet_vad_fallback'
-                                }));
-                            }
-                        }
-                        
-                        // Update VAD status display
-                        this.updateVadStatus(vadResult.isSpeaking, vadResult.timestamp);
-                    }
-                }
-                
-                // Process audio through client-side VAD if available
-                if (this.vadEnabled && this.clientVAD && type === 'audioData') {
-                    try {
-                        // Convert PCM16 buffer to Float32Array for VAD processing
-                        const pcm16Array = new Int16Array(data);
-                        const float32Array = new Float32Array(pcm16Array.length);
-                        
-                        // Convert PCM16 to Float32 [-1, 1]
-                        for (let i = 0; i < pcm16Array.length; i++) {
-                            float32Array[i] = pcm16Array[i] / (pcm16Array[i] < 0 ? 32768 : 32767);
-                        }
-                        
-                        // Process through client VAD for immediate speech detection
-                        await this.clientVAD.processAudio(float32Array);
-                        
-                    } catch (error) {
-                        console.warn('⚠️ Client VAD processing error:', error);
-                    }
-                }
-            };
-            source.connect(this.workletNode);
-            this.isCallActive = true;
-            this.isRecording = true;
-            this.updateMicButton();
-            
-            console.log('Call started successfully');
-            // Clear the starting flag now that call is established
-            this.startingNewCall = false;
+            const button = document.createElement('button');
+            const isWatched = session.session_id === this.monitoredSessionId;
+            button.className = `py-1 px-3 rounded-lg text-white text-xs ${isWatched ? 'bg-green-600' : 'bg-blue-500 hover:bg-blue-600'}`;
+            button.textContent = isWatched ? 'Watching' : 'Monitor';
+            button.disabled = isWatched;
+            button.addEventListener('click', () => this.monitorSession(session.session_id));
+
+            row.appendChild(label);
+            row.appendChild(button);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Subscribe read-only to another agent's session; its transcript and checklist stream
+     * into the normal conversation and lead panels
+     */
+    async monitorSession(sessionId) {
+        try {
+            await this.connectWebSocket();
         } catch (error) {
-            console.error('Failed to start call:', error);
-            this.showError('Failed to start call: ' + error.message);
-            // CRITICAL: Only clean up audio, keep WebSocket for retry
-            this.isCallActive = false;
-            this.startingNewCall = false; // Clear flag on error
-            await this.cleanupAudioResources(); // Don't close WebSocket
+            this.showError('Could not connect to monitor this session');
+            return;
+        }
+
+        if (this.listenIn) {
+            await this.initializeWebAudio();
+        }
+        this.stopAudioPlayback();
+        const conversationArea = document.getElementById('conversationArea');
+        if (conversationArea) {
+            conversationArea.innerHTML = '';
+        }
+        this.currentAiResponseDiv = null;
+        this.resetSessionInfoDisplay();
+        this.setMonitorStatus('Connecting...');
+        this.sendMonitorSubscribe(sessionId);
+    }
+
+    sendMonitorSubscribe(sessionId) {
+        this.sendWebSocketMessage({
+            type: 'monitor_subscribe',
+            session_id: sessionId,
+            listen_audio: this.listenIn
+        });
+    }
+
+    stopMonitoring() {
+        if (!this.monitoredSessionId) return;
+        this.sendWebSocketMessage({ type: 'monitor_unsubscribe' });
+    }
+
+    handleMonitorSubscribed(message) {
+        const changed = message.session_id !== this.monitoredSessionId;
+        this.monitoredSessionId = message.session_id;
+        this.setMonitorStatus(`Monitoring ${message.agent || message.session_id}${message.listen_audio ? ' (listening)' : ''}`);
+        document.getElementById('stopMonitorBtn').classList.remove('hidden');
+        this.updateCallStatus(`Monitoring ${message.agent || 'agent'}`, 'calling');
+        if (changed) {
+            this.addMessage('System', `Monitoring ${message.agent || message.session_id} (read-only).`, 'system');
         }
+        this.fetchActiveSessions();
+    }
+
+    handleMonitorEnded(message) {
+        // A re-subscribe (e.g. toggling listen-in) ends and restarts the same session
+        if (message.reason === null || message.reason === undefined) return;
+
+        this.monitoredSessionId = null;
+        this.stopAudioPlayback();
+        this.setMonitorStatus('Not monitoring');
+        document.getElementById('stopMonitorBtn').classList.add('hidden');
+        this.updateCallStatus('Select a session to monitor', 'waiting');
+        this.addMessage('System', `Monitoring ended${message.reason === 'unsubscribed' ? '' : `: ${message.reason}`}.`, 'system');
+        this.fetchActiveSessions();
+    }
+
+    handleMonitorAudio(message) {
+        if (!this.isSupervisor || !this.listenIn) return;
+        this.monitorPlayer.push(this.webAudioContext, message.audio, message.sample_rate || 16000);
+    }
+
+    setMonitorStatus(text) {
+        const status = document.getElementById('monitorStatus');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    startSessionRecording() {
+        this.sessionRecorder.start({
+            user: this.currentUser,
+            sessionId: this.sessionId,
+            wsUrl: this.config.wsUrl,
+            userAgent: navigator.userAgent
+        });
+        document.getElementById('recordToggleBtn').textContent = 'Stop Recording';
+        this.updateRecorderStatus('Recording...');
+    }
+
+    stopSessionRecording() {
+        this.sessionRecorder.stop();
+        document.getElementById('recordToggleBtn').textContent = 'Start Recording';
+        this.updateRecorderStatus(`Recorded ${this.sessionRecorder.entries.length} messages`);
+    }
+
+    updateRecorderStatus(text) {
+        const status = document.getElementById('recorderStatus');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * Feed a recorded session back through handleWebSocketMessage with its original timing.
+     * The live socket is closed first so replayed and live traffic never mix.
+     */
+    async replayRecordingFile(file) {
+        let recording;
+        try {
+            recording = SessionReplayer.parse(await file.text());
+        } catch (error) {
+            this.showError(`Cannot replay file: ${error.message}`);
+            return;
+        }
+
+        if (this.sessionReplayer) {
+            this.sessionReplayer.stop();
+        }
+        if (this.isCallActive) {
+            this.stopCall();
+        }
+        // A pending auto-start would turn a replayed calling_index_assigned into a real call
+        this.autoStartFlow = false;
+        this.autoStartDeferred = false;
+        const wasIntentionalDisconnect = this.intentionalDisconnect;
+        if (this.socket) {
+            this.intentionalDisconnect = true;
+            this.reconnectManager.reset();
+            this.heartbeatMonitor.stop();
+            this.socket.close();
+            this.socket = null;
+        }
+
+        // Show the call UI without triggering the auto-start flow
+        document.getElementById('loginScreen').classList.add('hidden');
+        document.getElementById('mainApp').classList.remove('hidden');
+        const conversationArea = document.getElementById('conversationArea');
+        if (conversationArea) {
+            conversationArea.innerHTML = '';
+        }
+        this.resetSessionInfoDisplay();
+        this.latencyTracker.reset();
+        await this.initializeWebAudio();
+
+        this.isReplaying = true;
+        this.updateConnectionStatus('degraded', 'Replay');
+        this.sessionReplayer = new SessionReplayer(recording);
+        this.sessionReplayer.setCallbacks({
+            onMessage: (data) => this.handleWebSocketMessage({ data: data }),
+            onProgress: (delivered, total) => this.updateRecorderStatus(`Replaying ${delivered}/${total}`),
+            onComplete: () => {
+                this.isReplaying = false;
+                this.intentionalDisconnect = wasIntentionalDisconnect;
+                this.heartbeatMonitor.stop();
+                this.updateConnectionStatus(false, 'Replay finished');
+                this.updateRecorderStatus('Replay finished');
+            }
+        });
+        this.sessionReplayer.play();
+    }
+
+    showLogin() {
+        document.getElementById('loginScreen').classList.remove('hidden');
+        document.getElementById('mainApp').classList.add('hidden');
+        
+        // Remove existing event listener if any
+        const loginForm = document.getElementById('loginForm');
+        const newLoginForm = loginForm.cloneNode(true);
+        loginForm.parentNode.replaceChild(newLoginForm, loginForm);
+        
+        // Add fresh event listener
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleLogin();
+        });
+    }
+
+    async handleLogin() {
+        const username = document.getElementById('username').value;
+        const password = document.getElementById('password').value;
+        const submitButton = document.querySelector('#loginForm button[type="submit"]');
+
+        // Prevent multiple submissions
+        if (submitButton.disabled) return;
+        
+        console.log('Attempting login for:', username);
+        console.log('API URL:', this.config.apiUrl);
+
+        // Disable button and show loading state
+        submitButton.disabled = true;
+        submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Signing In...';
+
+        try {
+            const response = await fetch(`${this.config.apiUrl}/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            
+            console.log('Login response status:', response.status);
+            
+            if (response.ok) {
+                const data = await response.json();
+                console.log('Login successful, data:', data);
+                
+                this.auth.setTokens(data);
+                this.token = this.auth.accessToken;
+                this.sessionId = data.session_id;
+                this.currentUser = username;
+                this.role = data.role === 'supervisor' ? 'supervisor' : 'agent';
+                this.isLoggedIn = true;
+                this.intentionalDisconnect = false;
+                this.sessionStore.clearTranscript();
+                this.persistSession();
+
+                // Another tab may already be running this session - don't double-stream into it
+                if (!(await this.claimSessionTab())) {
+                    this.showMainApp({ autoStart: false });
+                    this.enterStandby();
+                    return;
+                }
+                
+                console.log('✅ Login successful - showing main app');
+                this.showMainApp(); 
+                
+                // Auto-start flow: Connect WebSocket and wait for customer data
+                console.log('🤖 Starting automatic flow - connecting WebSocket...');
+                // Supervisors never get a customer assigned; agents without a passed audio check
+                // get one once the check passes, so the AI doesn't greet a broken headset
+                const audioReady = !this.needsAudioCheck();
+                this.autoStartFlow = !this.isSupervisor && audioReady;
+                this.autoStartDeferred = !this.isSupervisor && !audioReady;
+                setTimeout(async () => {
+                    try {
+                        await this.connectWebSocket();
+                        console.log('✅ WebSocket connected, waiting for customer data...');
+                    } catch (error) {
+                        console.error('❌ WebSocket connection failed:', error.message);
+                        this.autoStartFlow = false; // Reset flag on error
+                    }
+                }, 500);  // Small delay to ensure UI is ready
+            } else {
+                const error = await response.json();
+                console.error('Login failed with error:', error);
+                this.showError('Login failed: ' + (error.detail || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Login request failed:', error);
+            this.showError('Login failed. Please check your connection and try again.');
+        } finally {
+            // Re-enable button
+            submitButton.disabled = false;
+            submitButton.innerHTML = 'Sign In';
+        }
+    }
+
+    showMainApp({ autoStart = true } = {}) {
+        document.getElementById('loginScreen').classList.add('hidden');
+        document.getElementById('mainApp').classList.remove('hidden');
+        this.applyRoleView();
+        document.getElementById('micBtn').addEventListener('click', () => { this.toggleCall(); });
+        document.getElementById('logoutBtn').addEventListener('click', () => { this.logout(); });
+        document.getElementById('endCallBtn').addEventListener('click', () => { this.showEndCallModal(); });
+        document.getElementById('confirmEndCall').addEventListener('click', () => { this.endCall(); });
+        document.getElementById('cancelEndCall').addEventListener('click', () => { this.hideEndCallModal(); });
+        // Assigned rather than added: showMainApp runs on every login and a doubled toggle would cancel itself
+        document.getElementById('muteBtn').onclick = () => { this.toggleMute(); };
+        document.getElementById('unmuteFromWarningBtn').onclick = () => { this.setMuted(false); };
+        
+        // Handle call summary dropdown changes
+        document.getElementById('callSummarySelect').addEventListener('change', (e) => { this.handleSummaryChange(e); });
+        
+        const userElement = document.getElementById('currentUser');
+        if (userElement) { 
+            userElement.textContent = this.currentUser; 
+        } else {
+            // If currentUser element doesn't exist, just log the user
+            console.log(`Logged in as: ${this.currentUser}`);
+        }
+        
+        if (this.isSupervisor) {
+            this.startSupervisorMode();
+            return;
+        }
+
+        // A call summary that couldn't be submitted before the last session expired comes first
+        if (this.restorePendingDisposition() || !autoStart) {
+            return;
+        }
+
+        if (!this.runtimeConfig.isEnabled('autoStartCall')) {
+            console.log('⏸️ Auto-start disabled by runtime config - waiting for the microphone button');
+            return;
+        }
+
+        // AUTO-START: Automatically start the call after login
+        console.log(' Auto-starting call after successful login...');
+        setTimeout(() => {
+            this.startCall().catch(err => {
+                console.error(' Failed to auto-start call:', err);
+                this.showError('Failed to start call. Please click the microphone button to retry.');
+            });
+        }, 500); // Small delay to ensure UI is ready
+    }
+
+
+
+    async connectWebSocket() {
+        return new Promise((resolve, reject) => {
+            try {
+                if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                    resolve();
+                    return;
+                }
+                
+                if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
+                    const timeout = setTimeout(() => reject(new Error('Connection timeout')), 45000);
+                    const checkInterval = setInterval(() => {
+                        if (this.socket.readyState === WebSocket.OPEN) {
+                            clearInterval(checkInterval);
+                            clearTimeout(timeout);
+                            resolve();
+                        } else if (this.socket.readyState === WebSocket.CLOSED) {
+                            clearInterval(checkInterval);
+                            clearTimeout(timeout);
+                            reject(new Error('Connection failed'));
+                        }
+                    }, 100);
+                    return;
+                }
+                
+                const socket = new WebSocket(`${this.config.wsUrl}/ws/${this.sessionId}`);
+                socket.binaryType = 'arraybuffer';
+                this.socket = socket;
+
+                // Every new socket starts on JSON framing and a fresh handshake
+                this.audioFraming = 'json';
+                this.audioSequence = 0;
+                this.serverProtocolVersion = null;
+                this.serverCapabilities = null;
+                this.protocolError = null;
+                this.cancelHandshakeWait();
+
+                socket.onopen = () => {
+                    // Authenticate before anything queued can reach the server
+                    this.sendSocketAuth(socket);
+                    this.updateConnectionStatus(true);
+                    // Handshake first: messages queued while disconnected only follow client_hello
+                    this.outboundQueue.attach(socket, this.buildClientHello());
+                    this.heartbeatMonitor.start();
+                    resolve();
+                };
+
+                socket.onmessage = (event) => {
+                    this.handleWebSocketMessage(event);
+                };
+
+                socket.onclose = (event) => {
+                    // Ignore late close events from sockets we've already replaced
+                    if (socket !== this.socket) return;
+                    this.outboundQueue.detach();
+                    this.heartbeatMonitor.stop();
+                    this.cancelHandshakeWait();
+                    this.handleSocketClose(event);
+                };
+
+                socket.onerror = (error) => {
+                    reject(error);
+                };
+
+                setTimeout(() => {
+                    if (this.socket && this.socket.readyState !== WebSocket.OPEN) {
+                        reject(new Error('WebSocket connection timeout'));
+                    }
+                }, 45000);
+
+            } catch (error) {
+                this.showError('Failed to connect to server');
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * First frame on every socket: the bearer token, sent straight to the socket so it is never
+     * queued behind other messages or captured by the session recorder
+     */
+    sendSocketAuth(socket) {
+        socket.send(JSON.stringify({
+            type: 'auth',
+            token: this.auth.accessToken
+        }));
+    }
+
+    /**
+     * Decide whether a closed socket should be re-established
+     */
+    handleSocketClose(event) {
+        console.log(`🔌 WebSocket closed (code: ${event.code}, reason: ${event.reason || 'none'})`);
+
+        if (this.intentionalDisconnect || this.isStandby || !this.isLoggedIn || !this.sessionId) {
+            this.reconnectManager.reset();
+            this.updateConnectionStatus(false);
+            return;
+        }
+
+        // Reconnecting with the same credentials would just be rejected again
+        if (event.code === SalesAgentApp.WS_AUTH_REJECTED) {
+            this.handleSocketAuthRejected();
+            return;
+        }
+
+        // A reconnect attempt is already running; its own failure handling reschedules
+        if (this.reconnectManager.isActive) {
+            return;
+        }
+
+        this.callActiveBeforeDrop = this.callActiveBeforeDrop || this.isCallActive;
+        this.resumingSession = true;
+        this.reconnectManager.schedule(() => this.connectWebSocket());
+    }
+
+    /**
+     * The server refused the socket's token: refresh once and reconnect, otherwise send the
+     * operator back to login (keeping any half-entered call summary)
+     */
+    async handleSocketAuthRejected() {
+        this.reconnectManager.reset();
+        this.callActiveBeforeDrop = this.callActiveBeforeDrop || this.isCallActive;
+        this.updateConnectionStatus(false, 'Authentication rejected');
+
+        if (!this.socketAuthRetried && await this.auth.refresh()) {
+            console.log('🔑 WebSocket auth rejected - retrying with a refreshed token');
+            this.socketAuthRetried = true;
+            this.resumingSession = true;
+            this.connectWebSocket().catch((error) => {
+                console.error('❌ Reconnect after token refresh failed:', error.message || error);
+            });
+            return;
+        }
+
+        console.warn('🔒 WebSocket auth rejected and credentials could not be refreshed');
+        const summaryOpen = !document.getElementById('endCallModal').classList.contains('hidden');
+        if (summaryOpen) {
+            this.preserveDisposition({
+                customerIndex: document.getElementById('customerIndex').value,
+                summarySelect: document.getElementById('callSummarySelect').value,
+                manualSummary: document.getElementById('manualSummaryText').value
+            });
+            this.hideEndCallModal();
+        }
+        this.showError('Your session is no longer valid. Please sign in again.');
+        this.logout();
+    }
+
+    /**
+     * Abandon a socket that looks alive to the browser but has stopped delivering data.
+     * close() on a half-open socket can take a long time to fire onclose, so detach first.
+     */
+    forceReconnect(reason) {
+        const staleSocket = this.socket;
+        console.warn(`🔌 Forcing reconnect: ${reason}`);
+
+        this.socket = null;
+        this.outboundQueue.detach();
+        this.heartbeatMonitor.stop();
+
+        if (staleSocket) {
+            try {
+                staleSocket.close(4000, 'Heartbeat timeout');
+            } catch (e) {
+                // Socket may already be closing
+            }
+        }
+
+        this.handleSocketClose({ code: 4000, reason: reason });
+    }
+
+    /**
+     * Reconnection exhausted - tear down the call and tell the operator instead of leaving a dead UI
+     */
+    async handleReconnectGiveUp(error) {
+        console.error('❌ Unable to restore connection:', error);
+        this.resumingSession = false;
+        this.callActiveBeforeDrop = false;
+        this.autoStartFlow = false;
+
+        this.updateConnectionStatus(false);
+        await this.cleanupAudioResources();
+        this.updateCallStatus('❌ Connection lost', 'error');
+        this.addMessage('System', 'Lost connection to the server and could not reconnect. Press Start Call to try again.', 'system');
+        this.showError('Connection to server lost. Please check your network and press Start Call to retry.');
+    }
+
+    /**
+     * Re-attach to the same session after a reconnect and restore call context
+     */
+    resumeSessionAfterReconnect() {
+        const wasCallActive = this.callActiveBeforeDrop;
+        this.resumingSession = false;
+        this.callActiveBeforeDrop = false;
+
+        // A supervisor has no call of their own - just pick the monitored session back up
+        if (this.isSupervisor) {
+            if (this.monitoredSessionId) {
+                this.sendMonitorSubscribe(this.monitoredSessionId);
+            }
+            return;
+        }
+
+        console.log('🔁 Resuming session after reconnect', { wasCallActive, customerIndex: this.currentCustomerIndex });
+
+        // The initial start_call is still outstanding - the auto-start branch will re-send it
+        if (wasCallActive && !this.autoStartFlow) {
+            this.sendWebSocketMessage({
+                type: 'start_call',
+                resume: true,
+                customer_index: this.currentCustomerIndex
+            });
+        }
+
+        // Each socket negotiates afresh, so repeat the in-call uplink format and mute state
+        if (wasCallActive) {
+            this.announceUplinkFormat();
+            if (this.isMuted) {
+                this.sendMuteState();
+            }
+        }
+
+        this.requestSessionInfo();
+    }
+
+    // Queue a JSON message for the socket; control types jump ahead of audio and survive reconnects
+    sendWebSocketMessage(message) {
+        // Monitor mode is read-only - nothing that could drive the watched call leaves this client
+        if (this.isSupervisor && !SalesAgentApp.SUPERVISOR_MESSAGE_TYPES.includes(message.type)) {
+            console.warn(`🚫 Supervisor mode: not sending ${message.type}`);
+            return false;
+        }
+
+        // Replayed sessions are read-only - handlers' replies (pongs etc.) go nowhere
+        if (this.isReplaying) {
+            console.log('⏭️ Replay mode: not sending', message.type);
+            return false;
+        }
+
+        this.protocol.checkOutbound(message);
+        const queued = this.outboundQueue.enqueue(message);
+        if (!queued) {
+            console.warn('❌ Failed to queue WebSocket message:', message.type);
+        }
+        return queued;
+    }
+
+    handleWebSocketMessage(event) {
+        if (!this.isReplaying) {
+            this.sessionRecorder.record('in', event.data);
+        }
+
+        // Any inbound frame proves the connection is alive
+        this.heartbeatMonitor.recordActivity();
+
+        // The server never sends binary frames downstream; ignore them rather than crash in JSON.parse
+        if (typeof event.data !== 'string') {
+            return;
+        }
+
+        // Parsing, validation and unknown types are reported to protocol diagnostics, never thrown here
+        this.protocol.dispatch(event.data);
+    }
+
+    /**
+     * Route every declared inbound message type to its handler
+     */
+    registerProtocolHandlers() {
+        this.protocol.on('connection_ready', (message) => this.handleConnectionReady(message));
+        this.protocol.on('server_hello', (message) => this.handleServerHello(message));
+        this.protocol.on('heartbeat', (message) => this.handleHeartbeat(message));
+        this.protocol.on('pong', () => this.heartbeatMonitor.recordActivity());
+        this.protocol.on('transcription', (message) => this.handleTranscription(message));
+        this.protocol.on('simple_greeting', (message) => this.handleSimpleGreeting(message));
+        this.protocol.on('ai_response', (message) => this.handleAiResponse(message));
+        this.protocol.on('partial_transcription', (message) => this.showPartialTranscription(message.text));
+        this.protocol.on('ai_partial_response', (message) => this.handleAiPartialResponse(message));
+        this.protocol.on('ai_response_chunk', (message) => this.handleAiResponseChunk(message));
+        this.protocol.on('ai_response_end', () => {
+            const textContent = this.currentAiResponseDiv && this.currentAiResponseDiv.querySelector('.text-gray-800');
+            if (textContent) {
+                this.warnIfMutedQuestion(textContent.textContent);
+            }
+            this.currentAiResponseDiv = null;
+            this.currentAiTranscript = null;
+            // End of the turn: persist the finished reply rather than wait for the next flush
+            this.sessionStore.flushTranscript();
+        });
+        this.protocol.on('vad_status', (message) => this.handleVadStatus(message));
+        this.protocol.on('stop_audio', (message) => this.handleStopAudio(message));
+        this.protocol.on('clear_audio_buffers', (message) => this.handleClearAudioBuffers(message));
+        this.protocol.on('audio_interrupt', (message) => this.handleAudioInterrupt(message));
+        this.protocol.on('session_refreshed', (message) => this.handleSessionRefreshed(message));
+        this.protocol.on('session_auto_refreshed', (message) => this.handleSessionAutoRefreshed(message));
+        this.protocol.on('session_update', (message) => this.handleSessionUpdate(message));
+        this.protocol.on('error', (message) => this.showError(message.message));
+        this.protocol.on('script_updated', (message) => console.log('✅ Conversation script updated on backend:', message.message));
+        this.protocol.on('calling_index_assigned', (message) => this.handleCallingIndexAssigned(message));
+        this.protocol.on('auto_start_next_call', (message) => this.handleAutoStartNextCall(message));
+        this.protocol.on('no_calling_index', (message) => this.handleNoCallingIndex(message));
+        this.protocol.on('all_customers_completed', () => this.handleAllCustomersCompleted());
+        this.protocol.on('auto_refresh_customer_progressed', (message) => this.handleAutoRefreshCustomerProgressed(message));
+        this.protocol.on('auto_start_first_call', (message) => this.handleAutoStartFirstCall(message));
+        this.protocol.on('next_customer_activated', (message) => this.handleNextCustomerActivated(message));
+        this.protocol.on('next_customer_ready', (message) => this.handleNextCustomerReady(message));
+        this.protocol.on('session_status', (message) => this.handleSessionStatus(message));
+        this.protocol.on('session_timer_started', () => console.log('⏱️ Session timer started'));
+        this.protocol.on('sheet_monitor_debug', (message) => console.log('🔍 Sheet Monitor:', message));
+        this.protocol.on('status_updated', () => console.log('📝 Status updated in sheet'));
+        this.protocol.on('stt_status', (message) => console.log('🎤 STT status:', message.status));
+        this.protocol.on('call_ended', (message) => this.handleCallEnded(message));
+        this.protocol.on('monitor_subscribed', (message) => this.handleMonitorSubscribed(message));
+        this.protocol.on('monitor_ended', (message) => this.handleMonitorEnded(message));
+        this.protocol.on('monitor_audio', (message) => this.handleMonitorAudio(message));
+    }
+
+    handleConnectionReady(message) {
+        console.log('✅ WebSocket connection ready:', message.message);
+        this.socketAuthRetried = false;
+        // The server accepted the session, so a reconnect in progress has really succeeded
+        this.reconnectManager.markStable();
+
+        // Newer backends may fold the handshake into connection_ready instead of a separate server_hello
+        if (message.protocol_version && !this.serverProtocolVersion) {
+            this.applyServerHandshake(message);
+        } else if (!this.serverProtocolVersion) {
+            // server_hello can still be on its way; nothing call-related is sent until it arrives or times out
+            this.waitForServerHello(message);
+            return;
+        }
+
+        this.finishConnectionReady(message);
+    }
+
+    /**
+     * Hold connection_ready until server_hello arrives; a backend that stays silent is legacy
+     */
+    waitForServerHello(message) {
+        this.cancelHandshakeWait();
+        const socket = this.socket;
+        const timer = setTimeout(() => {
+            this.pendingConnectionReady = null;
+            if (socket !== this.socket) return;
+            console.log('🤝 Legacy backend (no protocol handshake) - using conventional message shapes');
+            this.negotiateAudioFraming(message.audio_framing);
+            this.finishConnectionReady(message);
+        }, SalesAgentApp.HANDSHAKE_WAIT_MS);
+        this.pendingConnectionReady = { message, timer };
+    }
+
+    cancelHandshakeWait() {
+        if (this.pendingConnectionReady) {
+            clearTimeout(this.pendingConnectionReady.timer);
+            this.pendingConnectionReady = null;
+        }
+    }
+
+    /**
+     * The rest of connection_ready, once the backend's protocol is known
+     */
+    finishConnectionReady(message) {
+        if (this.protocolError) {
+            this.autoStartFlow = false;
+            return;
+        }
+
+        this.updateCallStatus('Ready to start calls', 'waiting');
+
+        if (this.resumingSession) {
+            this.resumeSessionAfterReconnect();
+        }
+        
+        // If in auto-start flow, fetch customer data
+        if (this.autoStartFlow) {
+            console.log('🔍 Auto-start flow: Fetching customer data...');
+            // Asked on every ready socket until customer data arrives; a copy queued before a drop is discarded
+            this.sendWebSocketMessage({
+                type: 'start_call'
+            });
+        }
+    }
+
+    handleHeartbeat(message) {
+        this.heartbeatMonitor.recordHeartbeat();
+
+        // Backend heartbeat - respond with pong to keep connection alive
+        // This also resets the connection timeout on proxies/firewalls
+        this.sendWebSocketMessage({
+            type: 'pong',
+            timestamp: message.timestamp
+        });
+        console.log(' Pong sent in response to heartbeat');
+    }
+
+    handleTranscription(message) {
+        this.latencyTracker.mark('transcription');
+        this.addMessage('You', message.text, 'user');
+        // Mark that user has actually spoken (not false positive)
+        this.userHasSpoken = true;
+        if (this.falsePositiveTimer) {
+            clearTimeout(this.falsePositiveTimer);
+            this.falsePositiveTimer = null;
+        }
+    }
+
+    handleSimpleGreeting(message) {
+        // Handle periodic "hi" greetings - don't add to chat history
+        console.log('👋 Received simple greeting:', message.text);
+        if (message.audio) {
+            console.log('Playing simple greeting audio');
+            this.playAudio(message.audio, message.sample_rate);
+        }
+    }
+
+    handleAiResponse(message) {
+        // Full AI response (like introduction)
+        this.addMessage('MARK (AI Agent)', message.text, 'agent');
+        this.warnIfMutedQuestion(message.text);
+        if (message.audio) {
+            console.log('Playing AI response audio (single)');
+            this.playAudio(message.audio, message.sample_rate);
+        }
+    }
+
+    handleAiPartialResponse(message) {
+        this.latencyTracker.mark('firstPartial');
+        this.appendAiText(message.text);
+    }
+
+    handleAiResponseChunk(message) {
+        // Supervisors only hear the monitored call when listen-in is on
+        if (this.isSupervisor && !this.listenIn) return;
+        this.latencyTracker.mark('firstChunk');
+        this.audioQueue.push({
+            data: message.audio,
+            sampleRate: message.sample_rate
+        });
+        if (!this.isAudioPlaying) {
+            this.playNextAudioChunk();
+        }
+    }
+
+    handleVadStatus(message) {
+        // Server-side VAD is now only used for status display
+        // Client-side VAD handles immediate interruption for zero latency
+        this.updateVadStatus(message.speech_detected, message.timestamp);
+        
+        // Fallback: If client-side VAD is not available, use server-side VAD for barge-in
+        if (!this.vadEnabled && this.isAiSpeaking) {
+            // Only proceed if speech is detected (skip buffer operations for non-speech)
+            if (message.speech_detected) {
+                // Add reading to server VAD buffer for sustained speech confirmation
+                this.serverVADBuffer.push({
+                    timestamp: Date.now(),
+                    speechDetected: true
+                });
+                
+                const now = Date.now();
+                const timeSinceAudioStart = now - (this.lastAudioStartTime || 0);
+                
+                // Don't interrupt immediately after audio starts (likely feedback)
+                if (timeSinceAudioStart < this.bargeInConfig.serverFeedbackGraceMs) {
+                    return;
+                }
+                
+                // Confirm sustained speech activity before interrupting
+                const isSustainedSpeech = this.confirmServerSpeechActivity(message.speech_detected);
+                
+                if (!isSustainedSpeech) {
+                    return;
+                }
+                
+                // Prevent rapid fire interrupts
+                if (now - this.lastInterruptTime < this.minInterruptInterval * 1.5) {  // Reduced multiplier
+                    return;
+                }
+                
+                this.lastInterruptTime = now;
+                
+                // Send interrupt signal to server
+                this.sendWebSocketMessage({
+                    type: 'interrupt',
+                    source: 'server_vad_fallback'
+                });
+                // Stop client audio playback
+                this.stopAudioPlayback();
+                
+                // REMOVED: Validation delay for immediate interrupts
+                console.log('✅ Server VAD interrupt accepted immediately');
+            }
+        }
+    }
+
+    handleStopAudio(message) {
+        console.log('🛑 Server signaled to stop audio. Halting playback.', {
+            immediate: message.immediate,
+            force_stop: message.force_stop,
+            force: message.force,
+            priority: message.priority
+        });
+        
+        // Enhanced stop with priority handling
+        if (message.immediate || message.force_stop || message.force) {
+            this.stopAudioPlaybackImmediate();
+        } else {
+            this.stopAudioPlayback();
+        }
+    }
+
+    handleClearAudioBuffers(message) {
+        console.log('🧹 Server signaled to clear all audio buffers. Deep cleaning...', {
+            force: message.force
+        });
+        
+        // Enhanced clearing with force option
+        if (message.force) {
+            this.clearAllAudioBuffersForced();
+        } else {
+            this.clearAllAudioBuffers();
+        }
+    }
+
+    handleAudioInterrupt(message) {
+        console.log('⚡ Server audio interrupt signal received', {
+            clear_all: message.clear_all
+        });
+        
+        // Immediate interrupt with optional complete clear
+        this.stopAudioPlaybackImmediate();
+        if (message.clear_all) {
+            this.clearAllAudioBuffersForced();
+        }
+    }
+
+    handleSessionRefreshed(message) {
+        console.log('Session refreshed:', message.message);
+        // CRITICAL: Do NOT start a new call automatically
+        // Clear the conversation area
+        const convArea = document.getElementById('conversationArea');
+        if (convArea) { 
+            convArea.innerHTML = ''; 
+        }
+        // Reset the current AI response div
+        this.currentAiResponseDiv = null;
+        // Clear audio queue
+        this.audioQueue = [];
+        this.isAudioPlaying = false;
+        // Ensure call is marked as inactive
+        this.isCallActive = false;
+        // Show a system message about the refresh
+        this.addMessage('System', 'Session refreshed! Ready for next call.', 'system');
+        // Reset session info display
+        this.resetSessionInfoDisplay();
+    }
+
+    handleSessionAutoRefreshed(message) {
+        console.log('Session auto-refreshed due to inactivity:', message.message);
+        // Show "Call Ended" modal while session refreshes
+        this.showCallEndedModal();
+        // CRITICAL: Do NOT start a new call automatically
+        // Clear the conversation area
+        const convAreaAuto = document.getElementById('conversationArea');
+        if (convAreaAuto) { 
+            convAreaAuto.innerHTML = ''; 
+        }
+        // Reset the current AI response div
+        this.currentAiResponseDiv = null;
+        // Clear audio queue
+        this.audioQueue = [];
+        this.isAudioPlaying = false;
+        // Ensure call is marked as inactive
+        this.isCallActive = false;
+        // Show a system message about the auto-refresh
+        this.addMessage('System', '⏰ Session automatically refreshed due to 20 seconds of inactivity. Ready for next call!', 'system');
+        // Reset session info display
+        this.resetSessionInfoDisplay();
+        // Request updated session info after refresh
+        this.requestSessionInfo();
+    }
+
+    handleSessionUpdate(message) {
+        this.updateSessionInfo(message.data);
+        // Hide call ended modal when session is ready
+        this.hideCallEndedModal();
+    }
+
+    handleCallingIndexAssigned(message) {
+        console.log('✅ Calling index assigned:', message.index);
+        this.currentCustomerIndex = message.index;
+        this.updateCallStatus(`Customer #${message.index}`, 'calling');
+
+        // A replayed session must not touch the stored session or open the microphone
+        if (this.isReplaying) return;
+        this.persistSession();
+
+        // If in auto-start flow, automatically start the call
+        if (this.autoStartFlow) {
+            console.log('🤖 Auto-start flow: Customer data loaded, starting call...');
+            this.autoStartFlow = false; // Reset flag
+            setTimeout(async () => {
+                try {
+                    await this.startCall();
+                    console.log('✅ First call started automatically after customer data loaded');
+                } catch (error) {
+                    console.error('❌ Auto-start failed after customer data:', error.message);
+                }
+            }, 500); // Small delay to ensure UI is updated
+        }
+    }
+
+    handleAutoStartNextCall(message) {
+        if (this.isSupervisor) return;
+        console.log(' Auto-starting next call with customer:', message.customer_index);
+        // Show "Call Ended" modal briefly before next call
+        this.showCallEndedModal();
+        this.updateCallStatus(`Customer #${message.customer_index}`, 'calling');
+
+        // A replayed session must not open a live socket or microphone
+        if (this.isReplaying) {
+            setTimeout(() => this.hideCallEndedModal(), 1500);
+            return;
+        }
+
+        // Automatically start the call (async IIFE to handle await in non-async context)
+        (async () => {
+            try {
+                // Give user a moment to see the modal and ensure socket is ready
+                await new Promise(resolve => setTimeout(resolve, 1500));
+                
+                // Ensure socket is ready
+                if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+                    console.log('🔗 Socket not ready for next call, reconnecting...');
+                    await this.connectWebSocket();
+                }
+                
+                await this.startCall({ customerAssigned: true });
+                // Hide modal when new call starts
+                this.hideCallEndedModal();
+            } catch (error) {
+                console.error('Failed to auto-start call:', error);
+                this.showError('Failed to auto-start next call: ' + error.message);
+                // Hide modal even if call fails
+                this.hideCallEndedModal();
+            }
+        })();
+    }
+
+    handleNoCallingIndex(message) {
+        console.log('⚠️ No calling index found');
+        this.updateCallStatus('❌ No customer with "calling" status found', 'error');
+        this.addMessage('System', message.message, 'system');
+        // Reset auto-start flow if no customer data available
+        if (this.autoStartFlow) {
+            console.log('❌ Auto-start flow cancelled: No customer data available');
+            this.autoStartFlow = false;
+        }
+    }
+
+    handleAllCustomersCompleted() {
+        console.log('✅ All customers completed');
+        this.updateCallStatus('✅ All customers completed', 'success');
+        this.addMessage('System', 'All customers have been processed.', 'system');
+    }
+
+    handleAutoRefreshCustomerProgressed(message) {
+        console.log('🔄 Auto-refresh progressed to next customer');
+        if (message.customer_index) {
+            this.updateCallStatus(`Moving to customer ${message.customer_index}...`, 'info');
+        }
+    }
+
+    handleAutoStartFirstCall(message) {
+        console.log('🚀 Auto-starting first call');
+        this.updateCallStatus('Auto-starting call...', 'info');
+        // Trigger the start call button programmatically
+        if (message.customer_index) {
+            this.currentCustomerIndex = message.customer_index;
+        }
+    }
+
+    handleNextCustomerActivated(message) {
+        console.log('➡️ Next customer activated');
+        if (message.customer_index) {
+            this.updateCallStatus(`Next customer ${message.customer_index} activated`, 'info');
+        }
+    }
+
+    handleNextCustomerReady(message) {
+        console.log('✅ Next customer ready');
+        if (message.customer_index) {
+            this.updateCallStatus(`Customer ${message.customer_index} ready`, 'success');
+        }
+    }
+
+    handleSessionStatus(message) {
+        console.log('📊 Session status update:', message);
+        if (message.status) {
+            this.updateCallStatus(message.status, 'info');
+        }
+    }
+
+    handleCallEnded(message) {
+        // Show "Call Ended" modal during processing (the operator's own call only)
+        if (!this.isSupervisor) {
+            this.showCallEndedModal();
+        }
+        this.addMessage('System', `Call ended: ${message.message}`, 'system');
+        if (message.summary) {
+            this.addMessage('System', `Call Summary: ${message.summary.call_summary}`, 'system');
+            this.addMessage('System', `Lead Interest: ${message.summary.lead_interest}`, 'system');
+        }
+        const conversationArea = document.getElementById('conversationArea');
+        if (conversationArea) { conversationArea.innerHTML = ''; }
+        this.sessionStore.clearTranscript();
+        const micBtn = document.getElementById('micBtn');
+        micBtn.disabled = false;
+        micBtn.classList.remove('opacity-50');
+        this.resetSessionInfoDisplay();
+    }
+
+    /**
+     * Recent malformed, unknown or unhandled protocol messages (for debugging from the console)
+     */
+    getProtocolDiagnostics() {
+        return this.protocol.getDiagnostics();
+    }
+
+    /**
+     * Capabilities this client announces to the server on every connect
+     */
+    getClientCapabilities() {
+        return {
+            audio_formats: this.supportedUplinkFormats,
+            audio_framing: typeof AudioFrameCodec !== 'undefined' && this.runtimeConfig.isEnabled('binaryFraming') ? ['binary', 'json'] : ['json'],
+            sample_rate: 16000,
+            client_vad: this.vadEnabled ? 'silero' : 'energy',
+            barge_in: this.vadEnabled ? 'client_vad' : 'server_vad'
+        };
+    }
+
+    buildClientHello() {
+        const message = {
+            type: 'client_hello',
+            protocol_version: ProtocolRouter.VERSION,
+            capabilities: this.getClientCapabilities()
+        };
+        this.protocol.checkOutbound(message);
+        return message;
+    }
+
+    handleServerHello(message) {
+        this.applyServerHandshake(message);
+
+        // connection_ready got here first and was waiting for this
+        if (this.pendingConnectionReady) {
+            const ready = this.pendingConnectionReady.message;
+            this.cancelHandshakeWait();
+            this.finishConnectionReady(ready);
+        }
+    }
+
+    /**
+     * Record the server's version/capabilities and adapt client behaviour to them
+     */
+    applyServerHandshake(message) {
+        this.serverProtocolVersion = message.protocol_version;
+        this.serverCapabilities = message.capabilities || {};
+
+        const { compatible, reason } = ProtocolRouter.checkCompatibility(message.protocol_version, message.min_client_version);
+        console.log(`🤝 Server protocol ${message.protocol_version} (client ${ProtocolRouter.VERSION})`, this.serverCapabilities);
+
+        if (!compatible) {
+            this.protocolError = reason;
+            console.error('❌ Incompatible server protocol:', reason);
+            this.updateCallStatus('❌ Incompatible server version', 'error');
+            this.showError(`Cannot start calls: ${reason}. Please reload the page or contact support.`);
+            return;
+        }
+
+        this.protocolError = null;
+        this.negotiateAudioFraming(this.serverCapabilities.audio_framing);
+    }
+
+    /**
+     * Whether the server declared support for a capability value (legacy backends are assumed to support
+     * everything the pre-handshake client did)
+     */
+    serverSupports(capability, value) {
+        if (!this.serverCapabilities) {
+            return true;
+        }
+        const declared = this.serverCapabilities[capability];
+        if (declared === undefined) {
+            return true;
+        }
+        return Array.isArray(declared) ? declared.includes(value) : declared === value;
+    }
+
+    /**
+     * Client-detected barge-in is only sent when the server accepts client interrupts
+     */
+    canSendClientInterrupt() {
+        if (this.isSupervisor || this.isMuted) return false;
+        return this.serverSupports('barge_in', 'client_vad');
+    }
+
+    /**
+     * Switch uplink audio to binary frames when the server advertises support
+     */
+    negotiateAudioFraming(audioFraming) {
+        const framings = Array.isArray(audioFraming) ? audioFraming : [];
+
+        if (!this.runtimeConfig.isEnabled('binaryFraming')) {
+            this.audioFraming = 'json';
+            console.log('📦 Using JSON audio framing (binary framing disabled by runtime config)');
+            return;
+        }
+
+        if (typeof AudioFrameCodec === 'undefined' || !framings.includes('binary')) {
+            this.audioFraming = 'json';
+            console.log('📦 Using JSON audio framing (server did not offer binary)');
+            return;
+        }
+
+        this.audioFraming = 'binary';
+        this.audioSequence = 0;
+        this.sendWebSocketMessage({
+            type: 'audio_framing',
+            framing: 'binary',
+            header_version: AudioFrameCodec.HEADER_VERSION,
+            format: 'pcm16',
+            sample_rate: 16000
+        });
+        console.log('📦 Using binary audio framing');
+    }
+
+    appendAiText(text) {
+        if (!this.currentAiResponseDiv) {
+            this.currentAiResponseDiv = this.addMessage('MARK (AI Agent)', text, 'agent');
+            this.currentAiTranscript = this.lastTranscriptHandle;
+        } else {
+            const textContent = this.currentAiResponseDiv.querySelector('.text-gray-800');
+            if (textContent) {
+                textContent.textContent += text;
+                if (this.currentAiTranscript !== null) {
+                    this.sessionStore.updateTranscript(this.currentAiTranscript, textContent.textContent);
+                }
+            }
+        }
+    }
+
+    toggleMute() {
+        if (!this.isCallActive) {
+            this.showError('Mute is available during a call');
+            return;
+        }
+        this.setMuted(!this.isMuted);
+    }
+
+    /**
+     * Mute or unmute the uplink. The backend is told so it pauses its inactivity timer and
+     * doesn't read the silence as the end of the operator's turn.
+     */
+    setMuted(muted) {
+        if (this.isMuted === muted) return;
+        this.isMuted = muted;
+        this.inputLevel.setSuspended(muted);
+        console.log(muted ? '🔇 Microphone muted' : '🔊 Microphone unmuted');
+
+        if (muted) {
+            // Drop half-collected audio so none of it is sent after unmuting
+            this.audioBuffer = [];
+            this.bufferDuration = 0;
+            this.updateVadStatus(false, Date.now());
+        } else {
+            document.getElementById('mutedWarning').classList.add('hidden');
+        }
+
+        this.sendMuteState();
+        this.updateMuteButton();
+    }
+
+    sendMuteState() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.sendWebSocketMessage({ type: 'mute_state', muted: this.isMuted, timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Flag an AI question the operator can't answer because they're muted
+     */
+    warnIfMutedQuestion(text) {
+        if (!this.isMuted || !this.isCallActive || !text || !text.trim().endsWith('?')) return;
+        console.warn('⚠️ AI asked a question while the operator is muted');
+        document.getElementById('mutedWarning').classList.remove('hidden');
+    }
+
+    updateMuteButton() {
+        const muteBtn = document.getElementById('muteBtn');
+        const indicator = document.getElementById('mutedIndicator');
+        if (muteBtn) {
+            muteBtn.textContent = this.isMuted ? 'Unmute' : 'Mute';
+            muteBtn.className = this.isMuted
+                ? 'w-full py-2 px-4 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors font-semibold text-shadow-soft tracking-wide'
+                : 'w-full py-2 px-4 bg-gray-500 hover:bg-gray-600 text-white rounded-lg transition-colors font-semibold text-shadow-soft tracking-wide';
+        }
+        if (indicator) {
+            indicator.classList.toggle('hidden', !this.isMuted);
+        }
+    }
+
+    async toggleCall() {
+        if (!this.isCallActive) {
+            await this.startCall();
+        } else {
+            this.stopCall();
+        }
+    }
+
+    /**
+     * options.customerAssigned: the backend already picked the customer (auto_start_next_call),
+     * so the call must not be held back by the audio check
+     */
+    async startCall(options = {}) {
+        // A click and an auto-start can both arrive while the first is still awaiting below
+        if (this.isCallActive || this.startingNewCall) {
+            return;
+        }
+        this.startingNewCall = true;
+
+        try {
+            // Another tab owns this session's microphone until the operator takes over here
+            if (this.isStandby) {
+                this.showError('This call is active in another tab. Use "Use This Tab" to move it here.');
+                return;
+            }
+
+            // Supervisors monitor other agents' calls; they never open a microphone
+            if (this.isSupervisor) {
+                console.warn('🚫 Supervisor mode: calls cannot be started');
+                return;
+            }
+
+            // The backend's protocol isn't known until server_hello arrives or the wait for it runs out
+            if (this.pendingConnectionReady) {
+                this.showError('Still connecting to the server - please try again in a moment.');
+                return;
+            }
+
+            // Never stream audio into a backend whose protocol we don't understand
+            if (this.protocolError) {
+                this.showError(`Cannot start call: ${this.protocolError}`);
+                this.updateCallStatus('❌ Incompatible server version', 'error');
+                return;
+            }
+
+            // Backend must be up and able to handle a voice call (speech recognition, TTS, 16 kHz input)
+            const capabilityProblem = await this.checkBackendCapabilities();
+            if (capabilityProblem) {
+                this.showError(`Cannot start call: ${capabilityProblem}`);
+                this.updateCallStatus('❌ Backend not ready for calls', 'error');
+                return;
+            }
+
+            // Microphone and speakers must have passed the pre-call check on this device
+            if (this.needsAudioCheck() && options.customerAssigned) {
+                console.warn('🎧 No audio check for this microphone - starting the assigned call anyway');
+                this.addMessage('System', 'This microphone has not passed the audio check. Run it from the Actions panel before your next manual call.', 'system');
+            } else if (this.needsAudioCheck()) {
+                console.log('🎧 Audio check required before the call');
+                this.updateCallStatus('🎧 Audio check required', 'waiting');
+                this.openAudioCheck({ beforeCall: true });
+                return;
+            }
+            
+            if (this.stream || this.audioContext) {
+                await this.cleanupAudioResources();
+            }
+            
+            this.isCallActive = true;
+            this.latencyTracker.reset();
+            this.renderLatencyPanel(null, null);
+            await this.initializeWebAudio();
+
+            // Login held the customer assignment back until the audio check passed
+            if (this.autoStartDeferred) {
+                this.autoStartDeferred = false;
+                this.autoStartFlow = true;
+                // A new socket's handshake sends start_call for the auto-start flow; an open one needs it now
+                if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                    this.sendWebSocketMessage({ type: 'start_call' });
+                }
+            }
+            
+            if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+                await this.connectWebSocket();
+            }
+
+            await this.configureUplinkFormat();
+
+            this.stream = await this.microphone.open();
+            
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            await this.audioContext.audioWorklet.addModule('audio-worklet-processor.js');
+            this.micSource = this.audioContext.createMediaStreamSource(this.stream);
+            this.sharedAudioRing = this.runtimeConfig.isEnabled('sharedAudioBuffer') && SharedAudioRing.isSupported
+                ? new SharedAudioRing(this.minChunkSize * 8)
+                : null;
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'audio-worklet-processor', {
+                processorOptions: {
+                    chunkSize: this.minChunkSize,
+                    resamplerQuality: this.runtimeConfig.get('audio.resamplerQuality'),
+                    capture: this.captureSettings.processing,
+                    sharedBuffer: this.sharedAudioRing ? this.sharedAudioRing.buffer : null
+                }
+            });
+            if (this.sharedAudioRing) {
+                console.log('🧮 Capture audio shared with the worklet through a SharedArrayBuffer ring');
+            }
+            this.updateWorkletVADConfig();
+
+            this.workletNode.port.onmessage = (event) => {
+                if (!this.isCallActive) return;
+
+                const { type, data } = event.data;
+                if (type === 'audioReady' && this.sharedAudioRing) {
+                    // Shared-memory capture: take every complete chunk and handle it like a posted one
+                    this.sharedAudioRing.drain(this.minChunkSize, (buffer) => this.handleWorkletMessage('audioData', buffer));
+                    return;
+                }
+                this.handleWorkletMessage(type, data);
+            };
+            this.micSource.connect(this.workletNode);
+            this.isCallActive = true;
+            this.isRecording = true;
+            this.inputLevel.start();
+            this.updateMicButton();
+            
+            this.persistSession();
+            console.log('Call started successfully');
+        } catch (error) {
+            console.error('Failed to start call:', error);
+            this.showError('Failed to start call: ' + error.message);
+            // CRITICAL: Only clean up audio, keep WebSocket for retry
+            this.isCallActive = false;
+            await this.cleanupAudioResources(); // Don't close WebSocket
+        } finally {
+            // Established, refused or failed - either way the next start may proceed
+            this.startingNewCall = false;
+        }
+    }
+
+    /**
+     * Audio chunks and energy-VAD results from the capture worklet
+     */
+    async handleWorkletMessage(type, data) {
+        if (type === 'audioData') {
+            // Handle audio data for streaming to server
+            const pcm16Buffer = data;
+            console.log(`📊 Audio chunk received: ${pcm16Buffer.length} bytes`);
+
+            // Before sending: a transferred buffer may be detached once it is queued
+            if (this.captureMonitorEnabled && !this.isMuted) {
+                this.playCaptureMonitor(pcm16Buffer);
+            }
+            
+            // Real-time mode: send each chunk immediately for lowest latency
+            if (this.realTimeMode) {
+                this.sendRealTimeAudioChunk(pcm16Buffer);
+            } else {
+                // Fallback: buffer mode for compatibility
+                this.audioBuffer.push(new Uint8Array(pcm16Buffer));
+                this.bufferDuration += this.chunkMs;
+                
+                if (this.bufferDuration >= this.maxBufferDuration) {
+                    this.sendLiveAudioStream();
+                }
+            }
+        } else if (type === 'inputLevel') {
+            this.inputLevel.update(data);
+        } else if (type === 'vadResult') {
+            // Handle VAD result from worklet (immediate fallback)
+            if (!this.vadEnabled && !this.isMuted) {
+                const vadResult = data;
+                
+                // IMMEDIATE INTERRUPTION: Any speech during AI speaking triggers immediate stop
+                if (vadResult.speechProb > this.vadConfig.workletInterruptProb && this.isAiSpeaking && this.canSendClientInterrupt()) {
+                    console.log(`⚡ Worklet VAD: Immediate interrupt (${vadResult.speechProb.toFixed(3)})`);
+                    this.stopAudioPlayback();
+                    
+                    // Send immediate interrupt to server
+                    this.sendWebSocketMessage({
+                        type: 'interrupt',
+                        source: 'worklet_vad_fallback'
+                    });
+                }
+                
+                // Energy VAD speech end stands in for Silero when timing turns
+                if (vadResult.stateChanged && !vadResult.isSpeaking) {
+                    this.latencyTracker.markSpeechEnd();
+                }
+                
+                // Update VAD status display
+                this.updateVadStatus(vadResult.isSpeaking, vadResult.timestamp);
+            }
+        }
+        
+        // Process audio through client-side VAD if available (suspended while muted)
+        if (this.vadEnabled && this.clientVAD && type === 'audioData' && !this.isMuted) {
+            try {
+                // Convert PCM16 buffer to Float32Array for VAD processing
+                const pcm16Array = new Int16Array(data);
+                const float32Array = new Float32Array(pcm16Array.length);
+                
+                // Convert PCM16 to Float32 [-1, 1]
+                for (let i = 0; i < pcm16Array.length; i++) {
+                    float32Array[i] = pcm16Array[i] / (pcm16Array[i] < 0 ? 32768 : 32767);
+                }
+                
+                // Process through client VAD for immediate speech detection
+                await this.clientVAD.processAudio(float32Array);
+                
+            } catch (error) {
+                console.warn('⚠️ Client VAD processing error:', error);
+            }
+        }
+    }
+
+    stopCall() {
+        if (!this.isCallActive) return;
+
+        if (this.workletNode) {
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.micSource = null;
+        this.sharedAudioRing = null;
+        this.captureMonitorTime = 0;
+        this.microphone.release();
+        this.stream = null;
+
+        // Reset client-side VAD state
+        if (this.clientVAD) {
+            this.clientVAD.reset();
+        }
+
+        this.closeOpusEncoder();
+        this.setMuted(false);
+        this.inputLevel.stop();
+        this.renderInputLevel(null);
+
+        this.audioBuffer = [];
+        this.bufferDuration = 0;
+        this.isCallActive = false;
+        this.isRecording = false;
+        this.updateMicButton();
+        this.persistSession();
+    }
+    
+    async cleanupAudioResources() {
+        this.micSource = null;
+        this.captureMonitorTime = 0;
+        this.microphone.release();
+        this.stream = null;
+
+        // FIXED: Close BOTH AudioContext instances to prevent leaks
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            try {
+                await this.audioContext.close();
+                console.log('✅ Closed audioContext');
+            } catch (e) {
+                console.error("Error closing audioContext:", e);
+            }
+        }
+        this.audioContext = null;
+
+        // FIXED: Also close webAudioContext (was missing!)
+        if (this.webAudioContext && this.webAudioContext.state !== 'closed') {
+            try {
+                await this.webAudioContext.close();
+                console.log('✅ Closed webAudioContext');
+            } catch (e) {
+                console.error("Error closing webAudioContext:", e);
+            }
+        }
+        this.webAudioContext = null;
+
+        if (this.workletNode) {
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+
+        // FIXED: Properly destroy VAD client to prevent memory leak
+        if (this.clientVAD) {
+            try {
+                // Check if VAD has a destroy method, otherwise just reset
+                if (typeof this.clientVAD.destroy === 'function') {
+                    await this.clientVAD.destroy();
+                    console.log('✅ Destroyed VAD client');
+                } else {
+                    this.clientVAD.reset();
+                    console.log('✅ Reset VAD client (no destroy method)');
+                }
+            } catch (e) {
+                console.error("Error destroying VAD client:", e);
+            }
+            this.clientVAD = null;
+        }
+
+        this.closeOpusEncoder();
+        this.setMuted(false);
+        this.inputLevel.stop();
+        this.renderInputLevel(null);
+
+        this.audioBuffer = [];
+        this.bufferDuration = 0;
+        this.isCallActive = false;
+        this.isRecording = false;
+        this.isAudioPlaying = false;
+        this.isAiSpeaking = false;
+        this.lastVadState = null;
+        
+        this.updateMicButton();
+        console.log('✅ All audio resources cleaned up');
+    }
+
+    async cleanupCallResources() {
+        await this.cleanupAudioResources();
+        
+        if (!this.isLoggedIn && this.socket && this.socket.readyState !== WebSocket.CLOSED) {
+            this.intentionalDisconnect = true;
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+    
+    sendRealTimeAudioChunk(pcm16Buffer) {
+        // Muted: the worklet keeps running so unmuting is instant, but nothing leaves the browser
+        if (this.isMuted) return;
+
+        // Send individual audio chunks immediately for true real-time streaming
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            // Don't spam warnings - just return silently during connection transitions
+            return;
+        }
+
+        const audioData = new Uint8Array(pcm16Buffer);
+        const audioHash = this.getAudioHash(audioData);
+
+        // Check if we've sent this exact audio chunk recently (e.g., within the last 500ms)
+        const now = Date.now();
+        if (this.recentAudioHashes.has(audioHash) && (now - this.recentAudioHashes.get(audioHash) < 500)) {
+            console.warn('🔄 Duplicate audio chunk detected and ignored.');
+            return;
+        }
+        
+        // Add the hash and current time to the map
+        this.recentAudioHashes.set(audioHash, now);
+
+        // Clean up old hashes (older than 2 seconds) to prevent memory growth
+        for (const [hash, timestamp] of this.recentAudioHashes.entries()) {
+            if (now - timestamp > 2000) {
+                this.recentAudioHashes.delete(hash);
+            }
+        }
+
+        // Opus packets are emitted asynchronously by the encoder and sent from its callback
+        if (this.uplinkFormat !== 'pcm16' && this.opusEncoder) {
+            this.opusEncoder.encode(pcm16Buffer);
+            return;
+        }
+
+        this.sendUplinkAudio(audioData, 'pcm16', now);
+    }
+
+    /**
+     * Send one encoded uplink chunk using the negotiated framing
+     */
+    sendUplinkAudio(bytes, format, timestamp) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || this.isSupervisor) {
+            return;
+        }
+
+        if (this.audioFraming === 'binary') {
+            // Raw bytes behind a fixed header - no base64 inflation or JSON encoding per chunk
+            this.outboundQueue.sendAudio(AudioFrameCodec.encode(bytes, {
+                sequence: this.audioSequence++,
+                sampleRate: 16000,
+                timestamp: timestamp,
+                format: format
+            }));
+            return;
+        }
+
+        const base64Data = this.arrayBufferToBase64(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        
+        // Send immediately with minimal overhead - silent logging
+        this.outboundQueue.sendAudio(JSON.stringify({
+            type: 'audio_stream_realtime',
+            data: base64Data,
+            format: format,
+            chunk_size: bytes.length,
+            sample_rate: 16000,
+            timestamp: timestamp
+        }));
+    }
+
+    /**
+     * Fill the microphone picker and react to devices coming and going
+     */
+    setupMicrophonePicker() {
+        const select = document.getElementById('micDeviceSelect');
+
+        this.microphone.setCallbacks({
+            onDevicesChanged: (devices) => {
+                this.renderMicrophoneOptions(devices);
+                // A call left without any input picks up the first microphone plugged in
+                if (this.isCallActive && !this.microphone.stream && !this.micSource && devices.length > 0) {
+                    this.switchMicrophone(this.microphone.preferredDeviceId).then((switched) => {
+                        if (switched) {
+                            this.addMessage('System', `Microphone connected - using ${this.microphone.getDeviceLabel(this.microphone.deviceId)}.`, 'system');
+                        }
+                    });
+                }
+            },
+            onDeviceLost: (device) => this.handleMicrophoneLost(device),
+            onDeviceReturned: (device) => {
+                if (!this.isCallActive) return;
+                this.switchMicrophone(device.deviceId).then((switched) => {
+                    if (switched) {
+                        this.addMessage('System', `${device.label || 'Your microphone'} is back - switched to it.`, 'system');
+                    }
+                });
+            },
+            onFallback: () => {
+                this.addMessage('System', 'Your selected microphone is not available; using the system default.', 'system');
+            }
+        });
+
+        if (!MicrophoneManager.isSupported) {
+            select.disabled = true;
+            return;
+        }
+
+        select.addEventListener('change', async () => {
+            const deviceId = select.value || null;
+            this.microphone.setPreferredDevice(deviceId);
+            this.renderAudioCheckState();   // a pass belongs to one microphone
+            if (this.isCallActive && await this.switchMicrophone(deviceId)) {
+                this.addMessage('System', `Switched microphone to ${this.microphone.getDeviceLabel(this.microphone.deviceId)}.`, 'system');
+            }
+        });
+        this.microphone.startWatching();
+    }
+
+    renderMicrophoneOptions(devices) {
+        const select = document.getElementById('micDeviceSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.style.background = '#4a5568';
+            option.style.color = 'white';
+            select.appendChild(option);
+        };
+
+        addOption('', 'System default');
+        devices
+            .filter(device => device.deviceId && device.deviceId !== 'default')
+            .forEach((device, index) => addOption(device.deviceId, device.label || `Microphone ${index + 1}`));
+
+        // A remembered device that is unplugged right now stays preferred, the picker just shows default
+        const preferred = this.microphone.preferredDeviceId;
+        select.value = preferred && devices.some(device => device.deviceId === preferred) ? preferred : '';
+    }
+
+    /**
+     * Feed the running worklet from another input device. The new source is connected before the
+     * old one is dropped, so the call, the worklet and the WebSocket carry on untouched.
+     * Resolves true if the device was switched. A request made while another switch is running
+     * (say the device is unplugged during a settings reopen) runs once that one has settled.
+     */
+    async switchMicrophone(deviceId) {
+        const previous = this.microphoneSwitch || Promise.resolve();
+        const run = previous.then(() => this.replaceMicrophone(deviceId));
+        this.microphoneSwitch = run;
+        try {
+            return await run;
+        } finally {
+            if (this.microphoneSwitch === run) {
+                this.microphoneSwitch = null;
+            }
+        }
+    }
+
+    async replaceMicrophone(deviceId) {
+        if (!this.isCallActive || !this.audioContext || !this.workletNode) {
+            return false;
+        }
+
+        try {
+            const stream = await this.microphone.acquire(deviceId);
+            if (!this.isCallActive || !this.audioContext || !this.workletNode) {
+                this.microphone.stopStream(stream);   // call ended while the device was opening
+                return false;
+            }
+
+            const source = this.audioContext.createMediaStreamSource(stream);
+            source.connect(this.workletNode);
+            if (this.micSource) {
+                this.micSource.disconnect();
+            }
+            this.micSource = source;
+            this.stream = stream;
+            this.microphone.adopt(stream);
+            this.inputLevel.start();   // new device: fresh silence clock and clipping state
+            return true;
+        } catch (error) {
+            console.error('❌ Could not switch microphone:', error);
+            this.showError(`Could not switch microphone: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * The active microphone was unplugged: move the call to whatever input is left
+     */
+    async handleMicrophoneLost(device) {
+        if (!this.isCallActive) return;
+
+        const lostLabel = device.label || 'Your microphone';
+        if (this.micSource) {
+            this.micSource.disconnect();
+            this.micSource = null;
+        }
+
+        await this.microphone.listDevices();
+        if (await this.switchMicrophone(null)) {
+            this.addMessage('System', `${lostLabel} was disconnected - switched to ${this.microphone.getDeviceLabel(this.microphone.deviceId)}.`, 'system');
+        } else if (!this.micSource) {
+            this.showError(`${lostLabel} was disconnected and no other microphone is available. Plug one in and pick it from the Microphone list.`);
+        }
+    }
+
+    /**
+     * Audio Capture section of the settings dialog. Browser constraints apply by reopening the
+     * microphone; worklet processing is retuned live, so the monitor makes changes audible at once.
+     */
+    setupCaptureSettings() {
+        const controls = document.querySelectorAll('[data-capture-setting]');
+        if (controls.length === 0) return;
+
+        const readControl = (control) => control.type === 'checkbox' ? control.checked : Number(control.value);
+        controls.forEach((control) => {
+            const eventName = control.type === 'checkbox' ? 'change' : 'input';
+            control.addEventListener(eventName, () => {
+                this.applyCaptureSettings({ [control.dataset.captureSetting]: readControl(control) });
+            });
+        });
+
+        document.getElementById('resetCaptureSettingsBtn').addEventListener('click', () => {
+            const before = this.captureSettings.constraints;
+            this.captureSettings.reset();
+            const constraintsChanged = CaptureSettings.CONSTRAINT_KEYS.some(key => before[key] !== this.captureSettings.constraints[key]);
+            this.captureSettingsChanged({ constraintsChanged, processingChanged: true });
+        });
+
+        const monitorToggle = document.getElementById('captureMonitorToggle');
+        monitorToggle.addEventListener('change', () => {
+            this.captureMonitorEnabled = monitorToggle.checked;
+            this.captureMonitorTime = 0;
+            console.log(`🎧 Capture monitor ${this.captureMonitorEnabled ? 'on' : 'off'}`);
+        });
+
+        this.renderCaptureSettings();
+    }
+
+    applyCaptureSettings(changes) {
+        this.captureSettingsChanged(this.captureSettings.update(changes));
+    }
+
+    captureSettingsChanged({ constraintsChanged, processingChanged }) {
+        this.renderCaptureSettings();
+
+        if (processingChanged && this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'captureProcessing', data: this.captureSettings.processing });
+        }
+
+        if (constraintsChanged) {
+            this.microphone.setAudioConstraints(this.captureSettings.constraints);
+            // Browsers only apply these when the track is opened, so reopen the current device
+            if (this.isCallActive) {
+                this.switchMicrophone(this.microphone.deviceId).then((switched) => {
+                    if (switched) {
+                        this.addMessage('System', 'Microphone reopened with the new capture settings.', 'system');
+                    }
+                });
+            }
+        }
+    }
+
+    renderCaptureSettings() {
+        const values = this.captureSettings.values;
+        document.querySelectorAll('[data-capture-setting]').forEach((control) => {
+            const value = values[control.dataset.captureSetting];
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+        });
+        document.querySelectorAll('[data-capture-value]').forEach((label) => {
+            label.textContent = `${values[label.dataset.captureValue]} ${label.dataset.unit || ''}`.trim();
+        });
+        ['highPass', 'noiseGate', 'agc'].forEach((stage) => {
+            document.querySelectorAll(`[data-capture-stage="${stage}"]`).forEach((row) => {
+                row.classList.toggle('opacity-50', !values[stage]);
+            });
+        });
+    }
+
+    /**
+     * Audio Level card: live meter, clipping badge and the "no audio" alert
+     */
+    setupInputLevelMeter() {
+        this.inputLevel.setCallbacks({
+            onLevel: (level) => this.renderInputLevel(level),
+            onClippingChange: (clipping) => {
+                document.getElementById('clipIndicator').classList.toggle('hidden', !clipping);
+            },
+            onDeadMic: (silentMs) => {
+                const seconds = Math.round(silentMs / 1000);
+                const label = this.microphone.getDeviceLabel(this.microphone.deviceId);
+                const text = `No audio from ${label} for ${seconds} seconds. Check that your headset isn't muted, or pick another microphone.`;
+                document.getElementById('deadMicText').textContent = text;
+                document.getElementById('deadMicWarning').classList.remove('hidden');
+                this.addMessage('System', text, 'system');
+            },
+            onSignalRestored: () => {
+                document.getElementById('deadMicWarning').classList.add('hidden');
+            }
+        });
+        this.renderInputLevel(null);
+    }
+
+    /**
+     * level is an InputLevelMonitor reading, or null when no call is capturing
+     */
+    renderInputLevel(level) {
+        const bar = document.getElementById('inputLevelBar');
+        const marker = document.getElementById('inputPeakMarker');
+        const text = document.getElementById('inputLevelText');
+        if (!bar || !marker || !text) return;
+
+        if (!level) {
+            bar.style.width = '0%';
+            marker.style.left = '0%';
+            text.textContent = '-- dB';
+            return;
+        }
+
+        bar.style.width = `${(InputLevelMonitor.meterFraction(level.rmsDb) * 100).toFixed(1)}%`;
+        marker.style.left = `${(InputLevelMonitor.meterFraction(level.holdDb) * 100).toFixed(1)}%`;
+        const color = level.clipping || level.rmsDb > -6 ? 'bg-red-500' : level.rmsDb > -20 ? 'bg-yellow-400' : 'bg-green-400';
+        bar.className = `absolute inset-y-0 left-0 ${color} transition-all duration-75`;
+        text.textContent = Number.isFinite(level.rmsDb) ? `${Math.round(level.rmsDb)} dB` : '-∞ dB';
+    }
+
+    /**
+     * Pre-call audio check dialog, opened from the Actions panel or by startCall when no valid
+     * pass exists for the selected microphone
+     */
+    setupAudioCheck() {
+        document.getElementById('audioCheckBtn').addEventListener('click', () => this.openAudioCheck());
+        document.getElementById('audioCheckRunBtn').addEventListener('click', () => this.runAudioCheck());
+        document.getElementById('audioCheckCloseBtn').addEventListener('click', () => this.closeAudioCheck());
+        document.getElementById('audioCheckHeardBtn').addEventListener('click', () => this.confirmAudioCheckPlayback(true));
+        document.getElementById('audioCheckNotHeardBtn').addEventListener('click', () => this.confirmAudioCheckPlayback(false));
+        document.getElementById('audioCheckReplayBtn').addEventListener('click', () => this.playAudioCheckRecording());
+        document.getElementById('audioCheckStartCallBtn').addEventListener('click', () => {
+            this.closeAudioCheck();
+            this.startCall();
+        });
+        this.renderAudioCheckState();
     }
 
-    stopCall() {
-        if (!this.isCallActive) return;
+    /**
+     * Whether startCall has to send the operator through the audio check first
+     */
+    needsAudioCheck() {
+        return this.runtimeConfig.isEnabled('audioCheck') && !this.isSupervisor &&
+            !this.audioCheck.isValidFor(this.microphone.preferredDeviceId);
+    }
 
-        if (this.workletNode) {
-            this.workletNode.disconnect();
-            this.workletNode = null;
+    openAudioCheck({ beforeCall = false } = {}) {
+        if (!this.audioCheckRunning) {
+            this.setAudioCheckStatus(beforeCall ? 'Run a quick audio check before your call starts.' : '');
         }
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
+        this.updateAudioCheckButtons();
+        document.getElementById('audioCheckModal').classList.remove('hidden');
+    }
+
+    closeAudioCheck() {
+        if (this.audioCheckRunning) return;
+        document.getElementById('audioCheckPlaybackPrompt').classList.add('hidden');
+        document.getElementById('audioCheckModal').classList.add('hidden');
+    }
+
+    /**
+     * Record through the call's capture path, measure, then play the recording back
+     */
+    async runAudioCheck() {
+        if (this.audioCheckRunning) return;
+        if (this.isCallActive) {
+            this.setAudioCheckStatus('End the current call before running an audio check.', true);
+            return;
         }
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
+        if (!MicrophoneManager.isSupported) {
+            this.setAudioCheckStatus('This browser cannot access a microphone. Use a current version of Chrome, Edge or Firefox.', true);
+            return;
         }
 
-        // Reset client-side VAD state
-        if (this.clientVAD) {
-            this.clientVAD.reset();
-        }
+        const seconds = this.runtimeConfig.get('audioCheck.recordSeconds');
+        const deviceId = this.microphone.preferredDeviceId;
+        this.audioCheckRunning = true;
+        this.audioCheckRecording = null;
+        this.audioCheckResult = null;
+        this.renderAudioCheckResults();
+        this.updateAudioCheckButtons();
+        document.getElementById('audioCheckPlaybackPrompt').classList.add('hidden');
 
-        this.audioBuffer = [];
-        this.bufferDuration = 0;
-        this.isCallActive = false;
-        this.isRecording = false;
-        this.updateMicButton();
-    }
-    
-    async cleanupAudioResources() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => {
-                if (track.readyState === 'live') {
-                    track.stop();
+        let stream = null;
+        try {
+            this.setAudioCheckStatus('Opening microphone...');
+            stream = await this.microphone.acquire(deviceId);
+
+            this.setAudioCheckStatus(`Recording - speak now (${seconds}s)`);
+            const recording = await AudioCheck.record(stream, {
+                processorOptions: {
+                    chunkSize: this.minChunkSize,
+                    resamplerQuality: this.runtimeConfig.get('audio.resamplerQuality'),
+                    capture: this.captureSettings.processing
+                },
+                seconds,
+                onLevel: (report, elapsed) => {
+                    this.renderAudioCheckLevel(report.rms);
+                    this.setAudioCheckStatus(`Recording - speak now (${Math.max(1, Math.ceil(seconds - elapsed))}s)`);
                 }
             });
-            this.stream = null;
-        }
+            this.microphone.stopStream(stream);
+            stream = null;
+            this.renderAudioCheckLevel(0);
 
-        // FIXED: Close BOTH AudioContext instances to prevent leaks
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            try {
-                await this.audioContext.close();
-                console.log('✅ Closed audioContext');
-            } catch (e) {
-                console.error("Error closing audioContext:", e);
+            this.setAudioCheckStatus('Analyzing...');
+            const speech = await AudioCheck.detectSpeech(recording.samples, {
+                threshold: this.vadConfig.sileroThreshold,
+                minSpeechDurationMs: this.vadConfig.minSpeechMs,
+                minSilenceDurationMs: this.vadConfig.minSilenceMs
+            }, this.clientVAD);
+            this.audioCheckRecording = recording;
+            this.audioCheckResult = { ...AudioCheck.analyze(recording, speech), deviceId };
+            console.log('🎧 Audio check measurements:', this.audioCheckResult.measurements);
+            this.renderAudioCheckResults();
+        } catch (error) {
+            console.error('❌ Audio check recording failed:', error);
+            this.setAudioCheckStatus(`Could not record: ${error.message}. Allow microphone access for this site and close other apps that may be using the microphone.`, true);
+        } finally {
+            if (stream) {
+                this.microphone.stopStream(stream);
             }
+            this.renderAudioCheckLevel(0);
+            this.audioCheckRunning = false;
+            this.updateAudioCheckButtons();
         }
-        this.audioContext = null;
 
-        // FIXED: Also close webAudioContext (was missing!)
-        if (this.webAudioContext && this.webAudioContext.state !== 'closed') {
-            try {
-                await this.webAudioContext.close();
-                console.log('✅ Closed webAudioContext');
-            } catch (e) {
-                console.error("Error closing webAudioContext:", e);
-            }
+        if (this.audioCheckRecording && this.audioCheckRecording.pcm16.length > 0) {
+            await this.playAudioCheckRecording();
+        } else if (this.audioCheckResult) {
+            this.setAudioCheckStatus('❌ Nothing was recorded - see the fixes below.', true);
         }
-        this.webAudioContext = null;
+    }
 
-        if (this.workletNode) {
-            this.workletNode.disconnect();
-            this.workletNode = null;
-        }
+    /**
+     * Play the check recording through the same WAV conversion and audio context as TTS, then ask
+     * whether the operator heard it - that covers the output side the measurements can't see
+     */
+    async playAudioCheckRecording() {
+        if (!this.audioCheckRecording || this.audioCheckRunning) return;
 
-        // FIXED: Properly destroy VAD client to prevent memory leak
-        if (this.clientVAD) {
-            try {
-                // Check if VAD has a destroy method, otherwise just reset
-                if (typeof this.clientVAD.destroy === 'function') {
-                    await this.clientVAD.destroy();
-                    console.log('✅ Destroyed VAD client');
-                } else {
-                    this.clientVAD.reset();
-                    console.log('✅ Reset VAD client (no destroy method)');
+        const prompt = document.getElementById('audioCheckPlaybackPrompt');
+        prompt.classList.add('hidden');
+        this.setAudioCheckStatus('Playing back your recording...');
+
+        const pcm16 = this.audioCheckRecording.pcm16;
+        const wavBlob = this.pcm16ToWavBlob(this.arrayBufferToBase64(pcm16.buffer), AudioCheck.SAMPLE_RATE);
+        try {
+            await this.initializeWebAudio();
+            if (this.webAudioContext && this.webAudioContext.state === 'running') {
+                const audioBuffer = await this.webAudioContext.decodeAudioData(await wavBlob.arrayBuffer());
+                const source = this.webAudioContext.createBufferSource();
+                source.buffer = audioBuffer;
+                source.connect(this.webAudioContext.destination);
+                await new Promise((resolve) => {
+                    source.onended = resolve;
+                    source.start();
+                });
+            } else {
+                const audioUrl = URL.createObjectURL(wavBlob);
+                try {
+                    const audio = new Audio(audioUrl);
+                    await new Promise((resolve, reject) => {
+                        audio.onended = resolve;
+                        audio.onerror = reject;
+                        audio.play().catch(reject);
+                    });
+                } finally {
+                    URL.revokeObjectURL(audioUrl);
                 }
-            } catch (e) {
-                console.error("Error destroying VAD client:", e);
             }
-            this.clientVAD = null;
+        } catch (error) {
+            console.error('❌ Audio check playback failed:', error);
         }
 
-        this.audioBuffer = [];
-        this.bufferDuration = 0;
-        this.isCallActive = false;
-        this.isRecording = false;
-        this.isAudioPlaying = false;
-        this.isAiSpeaking = false;
-        this.lastVadState = null;
-        
-        this.updateMicButton();
-        console.log('✅ All audio resources cleaned up');
+        this.setAudioCheckStatus('');
+        prompt.classList.remove('hidden');
     }
 
-    async cleanupCallResources() {
-        await this.cleanupAudioResources();
-        
-        if (!this.isLoggedIn && this.socket && this.socket.readyState !== WebSocket.CLOSED) {
-            this.intentionalDisconnect = true;
-            this.socket.close();
-            this.socket = null;
+    confirmAudioCheckPlayback(heard) {
+        const result = this.audioCheckResult;
+        if (!result) return;
+
+        result.checks = result.checks.filter(check => check.id !== 'playback');
+        result.checks.push({
+            id: 'playback',
+            label: 'Playback',
+            passed: heard,
+            detail: heard ? 'Heard clearly' : 'Not heard',
+            fix: heard ? null : 'Make sure your headset is the output device in your OS sound settings and its volume is up, then run the check again.'
+        });
+        result.passed = result.checks.every(check => check.passed);
+        document.getElementById('audioCheckPlaybackPrompt').classList.add('hidden');
+
+        if (result.passed) {
+            this.audioCheck.recordPass(result.deviceId, result.measurements);
+            this.setAudioCheckStatus('✅ Audio check passed - you are ready for calls.');
+            console.log('✅ Audio check passed');
+        } else {
+            this.setAudioCheckStatus('❌ Audio check failed - apply the fixes below and run it again.', true);
+            console.warn('⚠️ Audio check failed:', result.checks.filter(check => !check.passed).map(check => check.id));
         }
+        this.renderAudioCheckResults();
+        this.renderAudioCheckState();
+        this.updateAudioCheckButtons();
     }
-    
-    sendRealTimeAudioChunk(pcm16Buffer) {
-        // Send individual audio chunks immediately for true real-time streaming
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-            // Don't spam warnings - just return silently during connection transitions
-            return;
+
+    setAudioCheckStatus(text, isError = false) {
+        const status = document.getElementById('audioCheckStatus');
+        status.textContent = text;
+        status.classList.toggle('text-red-300', isError);
+    }
+
+    renderAudioCheckLevel(rms) {
+        const bar = document.getElementById('audioCheckLevelBar');
+        bar.style.width = `${(InputLevelMonitor.meterFraction(InputLevelMonitor.toDb(rms)) * 100).toFixed(1)}%`;
+    }
+
+    renderAudioCheckResults() {
+        const list = document.getElementById('audioCheckResults');
+        list.innerHTML = '';
+        if (!this.audioCheckResult) return;
+
+        this.audioCheckResult.checks.forEach((check) => {
+            const item = document.createElement('li');
+            const line = document.createElement('div');
+            line.className = 'flex justify-between';
+            const label = document.createElement('span');
+            label.textContent = `${check.passed ? '✅' : '❌'} ${check.label}`;
+            const detail = document.createElement('span');
+            detail.className = 'font-mono text-white text-opacity-80';
+            detail.textContent = check.detail;
+            line.append(label, detail);
+            item.appendChild(line);
+
+            if (check.fix) {
+                const fix = document.createElement('div');
+                fix.className = 'mt-1 text-xs text-yellow-200 font-light';
+                fix.textContent = check.fix;
+                item.appendChild(fix);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    updateAudioCheckButtons() {
+        const runButton = document.getElementById('audioCheckRunBtn');
+        runButton.disabled = this.audioCheckRunning || this.isCallActive;
+        runButton.classList.toggle('opacity-50', runButton.disabled);
+        runButton.querySelector('span').textContent = this.audioCheckResult ? 'Run Again' : 'Run Check';
+
+        const closeButton = document.getElementById('audioCheckCloseBtn');
+        closeButton.disabled = this.audioCheckRunning;
+        closeButton.classList.toggle('opacity-50', closeButton.disabled);
+
+        const passed = !!this.audioCheckResult && this.audioCheckResult.passed;
+        document.getElementById('audioCheckStartCallBtn').classList.toggle('hidden', !passed || this.isCallActive);
+    }
+
+    /**
+     * The line under the Audio Check button: whether calls can start on this microphone
+     */
+    renderAudioCheckState() {
+        const state = document.getElementById('audioCheckState');
+        if (!state) return;
+
+        const pass = this.audioCheck.lastPass;
+        if (this.audioCheck.isValidFor(this.microphone.preferredDeviceId)) {
+            const time = new Date(pass.passedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            state.textContent = `✅ Passed at ${time}`;
+        } else if (!this.runtimeConfig.isEnabled('audioCheck')) {
+            state.textContent = 'Optional - check your headset any time';
+        } else if (pass) {
+            state.textContent = 'Microphone changed - check again before your next call';
+        } else {
+            state.textContent = 'Required before your next call';
         }
+    }
 
-        const audioData = new Uint8Array(pcm16Buffer);
-        const audioHash = this.getAudioHash(audioData);
+    /**
+     * Play a processed 16 kHz PCM16 chunk back locally, queued end to end so chunks don't overlap
+     */
+    playCaptureMonitor(pcm16Buffer) {
+        if (!this.audioContext) return;
 
-        // Check if we've sent this exact audio chunk recently (e.g., within the last 500ms)
-        const now = Date.now();
-        if (this.recentAudioHashes.has(audioHash) && (now - this.recentAudioHashes.get(audioHash) < 500)) {
-            console.warn('🔄 Duplicate audio chunk detected and ignored.');
-            return;
+        const pcm16 = new Int16Array(pcm16Buffer);
+        const buffer = this.audioContext.createBuffer(1, pcm16.length, 16000);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < pcm16.length; i++) {
+            channel[i] = pcm16[i] / (pcm16[i] < 0 ? 32768 : 32767);
         }
-        
-        // Add the hash and current time to the map
-        this.recentAudioHashes.set(audioHash, now);
 
-        // Clean up old hashes (older than 2 seconds) to prevent memory growth
-        for (const [hash, timestamp] of this.recentAudioHashes.entries()) {
-            if (now - timestamp > 2000) {
-                this.recentAudioHashes.delete(hash);
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.audioContext.destination);
+
+        // Fell behind (first chunk, or a gap): restart slightly ahead to absorb jitter
+        const now = this.audioContext.currentTime;
+        if (this.captureMonitorTime < now) {
+            this.captureMonitorTime = now + 0.05;
+        }
+        source.start(this.captureMonitorTime);
+        this.captureMonitorTime += buffer.duration;
+    }
+
+    /**
+     * Why the backend can't take a call right now, or null if it can. Capabilities are fetched
+     * (with retries) if the health check at page load didn't get them; anything /config doesn't
+     * report is assumed to be supported.
+     */
+    async checkBackendCapabilities() {
+        if (!this.config.capabilities) {
+            const health = await this.config.discoverCapabilities();
+            if (!health.ok) {
+                return `backend at ${this.config.apiUrl} is not responding (${health.error})`;
             }
         }
 
-        const base64Data = this.arrayBufferToBase64(audioData.buffer);
-        
-        // Send immediately with minimal overhead - silent logging
-        this.socket.send(JSON.stringify({
-            type: 'audio_stream_realtime',
-            data: base64Data,
-            format: 'pcm16',
-            chunk_size: audioData.length,
+        const capabilities = this.config.capabilities;
+        if (!this.config.hasFeature('voice_calls')) {
+            return 'voice calls are disabled on this backend';
+        }
+        if (capabilities.sttProviders && capabilities.sttProviders.length === 0) {
+            return 'no speech-to-text provider is available on the backend';
+        }
+        if (capabilities.ttsProviders && capabilities.ttsProviders.length === 0) {
+            return 'no text-to-speech provider is available on the backend';
+        }
+        if (capabilities.sampleRates.input && !capabilities.sampleRates.input.includes(16000)) {
+            return `backend does not accept 16 kHz audio (supports ${capabilities.sampleRates.input.join(', ')} Hz)`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether the backend explicitly accepts an uplink format; PCM16 is the baseline every backend takes
+     */
+    serverAcceptsAudioFormat(format) {
+        if (format === 'pcm16') return true;
+        const formats = this.serverCapabilities && this.serverCapabilities.audio_formats;
+        if (Array.isArray(formats)) {
+            return formats.includes(format);
+        }
+        // Handshake didn't list formats - fall back to what /config reported
+        return this.config.supportsAudioFormat(format) === true;
+    }
+
+    /**
+     * Probe which compressed uplink formats this browser can produce
+     */
+    async detectUplinkFormats() {
+        if (typeof UplinkOpusEncoder === 'undefined' || !this.runtimeConfig.isEnabled('opusUplink')) return;
+        const formats = await UplinkOpusEncoder.detectFormats(16000);
+        this.supportedUplinkFormats = ['pcm16', ...formats];
+        console.log('🗜️ Supported uplink formats:', this.supportedUplinkFormats);
+    }
+
+    /**
+     * Pick this call's uplink format from the operator's toggle and what both sides support,
+     * falling back to PCM16 whenever Opus can't be used
+     */
+    async configureUplinkFormat() {
+        this.closeOpusEncoder();
+        this.uplinkFormat = 'pcm16';
+
+        if (this.preferredUplinkFormat === 'opus') {
+            const acceptable = ['opus', 'ogg_opus'].filter(format =>
+                this.supportedUplinkFormats.includes(format) && this.serverAcceptsAudioFormat(format));
+
+            if (acceptable.length === 0) {
+                console.warn('⚠️ Opus uplink requested but not supported by this browser/server - using PCM16');
+                this.addMessage('System', 'Opus uplink is not available with this server; sending PCM audio.', 'system');
+            } else {
+                try {
+                    this.opusEncoder = new UplinkOpusEncoder({ sampleRate: 16000, bitrate: 24000 });
+                    this.opusEncoder.setCallbacks({
+                        onPacket: (bytes, info) => this.sendUplinkAudio(bytes, info.format, Date.now()),
+                        onError: () => {
+                            // Keep the call alive on PCM rather than going silent
+                            console.warn('⚠️ Opus encoder failed mid-call - switching uplink to PCM16');
+                            this.closeOpusEncoder();
+                            this.uplinkFormat = 'pcm16';
+                            this.announceUplinkFormat();
+                        }
+                    });
+                    this.uplinkFormat = await this.opusEncoder.initialize(acceptable);
+                } catch (error) {
+                    console.warn('⚠️ Opus encoder unavailable, using PCM16:', error);
+                    this.closeOpusEncoder();
+                    this.uplinkFormat = 'pcm16';
+                }
+            }
+        }
+
+        console.log(`🎙️ Uplink audio format for this call: ${this.uplinkFormat}`);
+        this.announceUplinkFormat();
+    }
+
+    /**
+     * Tell handshake-aware backends which format the next audio chunks use
+     */
+    announceUplinkFormat() {
+        if (!this.serverCapabilities) return;
+        this.sendWebSocketMessage({
+            type: 'audio_format',
+            format: this.uplinkFormat,
             sample_rate: 16000,
-            timestamp: now
-        }));
+            frame_duration_ms: this.uplinkFormat === 'pcm16' ? this.chunkMs : 20
+        });
+    }
+
+    closeOpusEncoder() {
+        if (this.opusEncoder) {
+            this.opusEncoder.close();
+            this.opusEncoder = null;
+        }
     }
 
     // Simple, fast hashing function for byte arrays to detect duplicate audio chunks
@@ -1129,6 +3261,11 @@ class SalesAgentApp {
     }
 
     sendLiveAudioStream() {
+        if (this.isMuted) {
+            this.audioBuffer = [];
+            this.bufferDuration = 0;
+            return;
+        }
         if (this.audioBuffer.length === 0) return;
         
         const totalLength = this.audioBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
@@ -1142,15 +3279,13 @@ class SalesAgentApp {
         
         const base64Data = this.arrayBufferToBase64(combinedBuffer.buffer);
         
-        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
-                type: 'audio_stream',
-                data: base64Data,
-                format: 'pcm16',
-                duration: this.bufferDuration,
-                streaming: true
-            }));
-        }
+        this.outboundQueue.sendAudio(JSON.stringify({
+            type: 'audio_stream',
+            data: base64Data,
+            format: 'pcm16',
+            duration: this.bufferDuration,
+            streaming: true
+        }));
         
         this.audioBuffer = [];
         this.bufferDuration = 0;
@@ -1221,6 +3356,9 @@ class SalesAgentApp {
             
             source.start(startTime);
             this.currentAudioTime = startTime + audioBuffer.duration;
+
+            // Audible start may be later than now when queued behind the previous chunk
+            this.latencyTracker.mark('audioStart', performance.now() + Math.max(0, startTime - now) * 1000);
             
             // Schedule the next chunk to start
             source.onended = () => {
@@ -1268,6 +3406,7 @@ class SalesAgentApp {
             };
             
             await audio.play();
+            this.latencyTracker.mark('audioStart');
             
         } catch (error) {
             console.error('Traditional audio playback error:', error);
@@ -1314,6 +3453,7 @@ class SalesAgentApp {
         
         // Standard audio stopping
         this.audioQueue = [];
+        this.monitorPlayer.stop();
         this.isAudioPlaying = false;
         this.isAiSpeaking = false;
         
@@ -1510,6 +3650,45 @@ class SalesAgentApp {
         }
     }
 
+    /**
+     * Show the last turn's breakdown alongside p50/p95 for the call
+     */
+    renderLatencyPanel(lastTurn, summary) {
+        const panel = document.getElementById('latencyPanel');
+        if (!panel) return;
+
+        if (!lastTurn || !summary) {
+            panel.innerHTML = '<span class="text-white text-opacity-60 font-light tracking-wide">No turns measured yet</span>';
+            return;
+        }
+
+        const format = (value) => value === null || value === undefined ? '—' : `${value}`;
+        const labels = { stt: 'STT', llm: 'LLM', tts: 'TTS', playback: 'Playback', total: 'Total' };
+        const rows = Object.entries(labels).map(([key, label]) => `
+            <tr class="${key === 'total' ? 'font-semibold' : ''}">
+                <td class="py-1 text-white text-opacity-80">${label}</td>
+                <td class="py-1 text-right text-white">${format(lastTurn.segments[key])}</td>
+                <td class="py-1 text-right text-white text-opacity-80">${format(summary[key].p50)}</td>
+                <td class="py-1 text-right text-white text-opacity-80">${format(summary[key].p95)}</td>
+            </tr>
+        `).join('');
+
+        panel.innerHTML = `
+            <table class="w-full font-mono text-xs">
+                <thead>
+                    <tr class="text-white text-opacity-60">
+                        <th class="text-left font-normal">ms</th>
+                        <th class="text-right font-normal">Last</th>
+                        <th class="text-right font-normal">p50</th>
+                        <th class="text-right font-normal">p95</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="mt-2 text-xs text-white text-opacity-60 font-light tracking-wide">${summary.turns} turn(s) this call</div>
+        `;
+    }
+
     showPartialTranscription(text) {
         let partialDiv = document.getElementById('partialTranscription');
         if (!partialDiv) {
@@ -1533,7 +3712,7 @@ class SalesAgentApp {
         }
     }
 
-    addMessage(sender, text, type) {
+    addMessage(sender, text, type, { time = Date.now(), persist = true } = {}) {
         const conversationArea = document.getElementById('conversationArea');
         
         // Remove partial transcription when adding a final message
@@ -1560,13 +3739,18 @@ class SalesAgentApp {
                     <div class="text-gray-800">${text}</div>
                 </div>
                 <div class="text-xs text-gray-500 ml-2">
-                    ${new Date().toLocaleTimeString()}
+                    ${new Date(time).toLocaleTimeString()}
                 </div>
             </div>
         `;
         
         conversationArea.appendChild(messageDiv);
         conversationArea.scrollTop = conversationArea.scrollHeight;
+
+        // Replayed sessions aren't the operator's live transcript
+        this.lastTranscriptHandle = persist && this.isLoggedIn && !this.isReplaying
+            ? this.sessionStore.appendTranscript({ sender, text, type, time })
+            : null;
         
         return messageDiv;
     }
@@ -1647,11 +3831,10 @@ class SalesAgentApp {
             // CRITICAL: Keep WebSocket OPEN during call-summary request 
             // so backend can send session refresh notification
             console.log('� Sending call summary to backend...');
-            const response = await fetch(`${this.config.apiUrl}/call-summary`, {
+            const response = await this.auth.authorizedFetch(`${this.config.apiUrl}/call-summary`, {
                 method: 'POST',
                 headers: { 
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.token}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     session_id: this.sessionId,
@@ -1660,6 +3843,15 @@ class SalesAgentApp {
                 })
             });
             
+            if (response.status === 401) {
+                // Refresh already failed - keep the operator's disposition for after they sign in again
+                this.preserveDisposition({ customerIndex, summarySelect, manualSummary });
+                this.hideCallEndedModal();
+                this.showError('Your session expired. Sign in again to submit this call summary.');
+                this.logout();
+                return;
+            }
+
             if (response.ok) {
                 const data = await response.json();
                 console.log('Call ended successfully:', data);
@@ -1700,6 +3892,66 @@ class SalesAgentApp {
         }
     }
 
+    /**
+     * Token lapsed and couldn't be refreshed. A live call or an open summary form is left alone
+     * so the operator can finish; the summary submission then routes them back to login.
+     */
+    handleSessionExpired(error) {
+        if (!this.isLoggedIn) return;
+
+        const summaryOpen = !document.getElementById('endCallModal').classList.contains('hidden');
+        if (this.isCallActive || summaryOpen) {
+            if (!this.sessionExpiredNotified) {
+                this.sessionExpiredNotified = true;
+                this.addMessage('System', 'Your session has expired. You will be asked to sign in again when you end this call.', 'system');
+            }
+            return;
+        }
+
+        this.showError('Your session expired. Please sign in again.');
+        this.logout();
+    }
+
+    preserveDisposition(disposition) {
+        sessionStorage.setItem('pending_disposition', JSON.stringify({
+            ...disposition,
+            user: this.currentUser,
+            savedAt: Date.now()
+        }));
+        console.log('💾 Preserved unsent call summary:', disposition);
+    }
+
+    /**
+     * Re-open the end-call form with a summary saved when the previous session expired.
+     * Returns true if one was restored.
+     */
+    restorePendingDisposition() {
+        const saved = sessionStorage.getItem('pending_disposition');
+        if (!saved) return false;
+        sessionStorage.removeItem('pending_disposition');
+
+        let disposition;
+        try {
+            disposition = JSON.parse(saved);
+        } catch (error) {
+            return false;
+        }
+        if (!disposition || disposition.user !== this.currentUser) {
+            console.log('🗑️ Discarding unsent call summary from another operator');
+            return false;
+        }
+
+        this.showEndCallModal();
+        const customerIndexField = document.getElementById('customerIndex');
+        customerIndexField.value = disposition.customerIndex;
+        document.getElementById('callSummarySelect').value = disposition.summarySelect;
+        document.getElementById('manualSummaryText').value = disposition.manualSummary || '';
+        document.getElementById('manualEntrySection').classList.toggle('hidden', disposition.summarySelect !== 'Manually Enter');
+
+        this.addMessage('System', 'Restored the call summary that was not submitted before your session expired.', 'system');
+        return true;
+    }
+
     showCallEndedModal() {
         const modal = document.getElementById('callEndedModal');
         if (modal) {
@@ -1718,6 +3970,12 @@ class SalesAgentApp {
 
     logout() {
         this.intentionalDisconnect = true;
+        this.autoStartDeferred = false;
+        this.reconnectManager.reset();
+        this.outboundQueue.clear();
+        this.heartbeatMonitor.stop();
+        this.resumingSession = false;
+        this.callActiveBeforeDrop = false;
         
         if (this.socket) {
             this.socket.close();
@@ -1725,9 +3983,20 @@ class SalesAgentApp {
         
         this.stopCall();
         
+        this.stopSupervisorMode();
+        if (this.tabCoordinator) {
+            this.tabCoordinator.close();
+            this.tabCoordinator = null;
+        }
+        this.isStandby = false;
+        document.getElementById('tabStandbyBanner').classList.add('hidden');
+        this.auth.clear();
+        this.sessionStore.clear();
+        this.sessionExpiredNotified = false;
         this.token = null;
         this.sessionId = null;
         this.currentUser = null;
+        this.role = 'agent';
         this.isLoggedIn = false;
         
         const conversationArea = document.getElementById('conversationArea');
@@ -1751,18 +4020,32 @@ class SalesAgentApp {
         }, 5000);
     }
 
-    updateConnectionStatus(connected) {
+    updateConnectionStatus(state, detail = null) {
+        // Accept the legacy boolean form as well as named states
+        if (state === true) state = 'connected';
+        if (state === false) state = 'disconnected';
+
         const statusElement = document.getElementById('connectionStatus');
         const statusIndicator = statusElement ? statusElement.querySelector('div') : null;
         const statusText = statusElement ? statusElement.querySelector('span') : null;
         
         if (statusIndicator && statusText) {
-            if (connected) {
-                statusIndicator.className = 'w-3 h-3 bg-green-500 rounded-full';
-                statusText.textContent = 'Connected';
-            } else {
-                statusIndicator.className = 'w-3 h-3 bg-red-500 rounded-full';
-                statusText.textContent = 'Disconnected';
+            switch (state) {
+                case 'connected':
+                    statusIndicator.className = 'w-3 h-3 bg-green-500 rounded-full';
+                    statusText.textContent = detail || 'Connected';
+                    break;
+                case 'degraded':
+                    statusIndicator.className = 'w-3 h-3 bg-yellow-400 rounded-full';
+                    statusText.textContent = detail || 'Connection unstable';
+                    break;
+                case 'reconnecting':
+                    statusIndicator.className = 'w-3 h-3 bg-yellow-400 rounded-full animate-pulse';
+                    statusText.textContent = detail || 'Reconnecting...';
+                    break;
+                default:
+                    statusIndicator.className = 'w-3 h-3 bg-red-500 rounded-full';
+                    statusText.textContent = detail || 'Disconnected';
             }
         }
     }
@@ -1836,9 +4119,9 @@ class SalesAgentApp {
 
     requestSessionInfo() {
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
+            this.sendWebSocketMessage({
                 type: 'get_session_info'
-            }));
+            });
         }
     }
 
@@ -2006,8 +4289,12 @@ class SalesAgentApp {
     }
 }
 
-// Initialize the app when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new SalesAgentApp();
+// Initialize the app when the page loads, once the runtime config is in
+document.addEventListener('DOMContentLoaded', async () => {
+    const runtimeConfig = new RuntimeConfig();
+    // One short attempt here; startCall retries properly if the backend was slow or down at page load
+    await window.config.discoverCapabilities(Config.STARTUP_HEALTH_CHECK);
+    await runtimeConfig.load(window.config.configPayload);
+    const app = new SalesAgentApp(runtimeConfig);
     app.init();
 });
@@ -0,0 +1,251 @@
+/**
+ * Audio Check
+ * Pre-call check of the operator's audio. A few seconds are recorded through the same capture
+ * worklet and settings a call uses, then measured: noise floor, peak level, clipping and - via
+ * SileroVADClient - whether speech actually came through. The app plays the recording back
+ * through its TTS playback path so the operator can confirm the output side too.
+ *
+ * A pass is remembered per microphone for a while (localStorage, shared by the browser's tabs),
+ * so the check gates the first call of a shift rather than every call.
+ */
+
+class AudioCheck {
+    static get STORAGE_KEY() {
+        return 'audio_check';
+    }
+
+    static get SAMPLE_RATE() {
+        return 16000;
+    }
+
+    static get THRESHOLDS() {
+        return {
+            silentPeakDb: -60,      // nothing louder than this: no audio at all
+            minPeakDb: -30,         // speech should peak at least this high
+            maxNoiseFloorDb: -45,   // quietest windows (background noise) must stay below this
+            minSnrDb: 15,           // speech level over the noise floor
+            maxClippedRatio: 0.001, // share of samples allowed to saturate
+            minSpeechMs: 500        // Silero must hear at least this much speech
+        };
+    }
+
+    static toDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    }
+
+    static formatDb(db) {
+        return Number.isFinite(db) ? `${Math.round(db)} dBFS` : 'silence';
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            storage: options.storage || window.localStorage,
+            validHours: options.validHours || 8,   // how long a pass lets calls start
+            ...options
+        };
+        this.storage = this.options.storage;
+    }
+
+    /**
+     * The stored pass, or null if there is none or it has expired
+     */
+    get lastPass() {
+        try {
+            const pass = JSON.parse(this.storage.getItem(AudioCheck.STORAGE_KEY) || 'null');
+            if (pass && Date.now() - pass.passedAt < this.options.validHours * 3600 * 1000) {
+                return pass;
+            }
+        } catch (error) {
+            console.warn('⚠️ Discarding unreadable audio check result');
+        }
+        return null;
+    }
+
+    /**
+     * Whether calls may start on deviceId (null = system default) without a new check
+     */
+    isValidFor(deviceId) {
+        const pass = this.lastPass;
+        return !!pass && pass.deviceId === (deviceId || null);
+    }
+
+    recordPass(deviceId, measurements) {
+        this.storage.setItem(AudioCheck.STORAGE_KEY, JSON.stringify({
+            deviceId: deviceId || null,
+            passedAt: Date.now(),
+            measurements
+        }));
+    }
+
+    clear() {
+        this.storage.removeItem(AudioCheck.STORAGE_KEY);
+    }
+
+    /**
+     * Record `seconds` of stream through the capture worklet. onLevel(report, elapsedSeconds) gets
+     * the worklet's level reports as they arrive. Resolves { pcm16, samples, levels, clipped }.
+     */
+    static async record(stream, { processorOptions, seconds, onLevel }) {
+        const context = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            if (context.state === 'suspended') {
+                await context.resume();
+            }
+            await context.audioWorklet.addModule('audio-worklet-processor.js');
+            const source = context.createMediaStreamSource(stream);
+            const node = new AudioWorkletNode(context, 'audio-worklet-processor', {
+                processorOptions: { ...processorOptions, sharedBuffer: null }
+            });
+
+            const chunks = [];
+            const levels = [];
+            let clipped = 0;
+            const startedAt = context.currentTime;
+            node.port.onmessage = (event) => {
+                const { type, data } = event.data;
+                if (type === 'audioData') {
+                    chunks.push(new Int16Array(data));
+                } else if (type === 'inputLevel') {
+                    levels.push({ rms: data.rms, peak: data.peak });
+                    clipped += data.clipped;
+                    if (onLevel) onLevel(data, context.currentTime - startedAt);
+                }
+            };
+
+            source.connect(node);
+            await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+            source.disconnect();
+            node.port.onmessage = null;
+
+            const pcm16 = new Int16Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            let offset = 0;
+            chunks.forEach((chunk) => {
+                pcm16.set(chunk, offset);
+                offset += chunk.length;
+            });
+
+            const samples = new Float32Array(pcm16.length);
+            for (let i = 0; i < pcm16.length; i++) {
+                samples[i] = pcm16[i] / (pcm16[i] < 0 ? 32768 : 32767);
+            }
+            return { pcm16, samples, levels, clipped };
+        } finally {
+            await context.close();
+        }
+    }
+
+    /**
+     * Run the recording through Silero VAD. Resolves { available, speechMs, maxProb }; when the
+     * model can't be loaded or never scores a frame, available is false and analyze() judges
+     * speech from levels instead. sharedVAD (the app's initialized client) lends its loaded model
+     * so the check doesn't download it again; its own state and callbacks are left alone.
+     */
+    static async detectSpeech(samples, vadOptions = {}, sharedVAD = null) {
+        if (typeof SileroVADClient === 'undefined') {
+            return { available: false, speechMs: 0, maxProb: 0 };
+        }
+
+        const vad = new SileroVADClient({ ...vadOptions, sampleRate: AudioCheck.SAMPLE_RATE, frameSamples: 1536 });
+        const borrowed = !!(sharedVAD && sharedVAD.isInitialized && sharedVAD.model);
+        const threshold = vad.options.threshold;
+        const frameMs = vad.options.frameSamples / AudioCheck.SAMPLE_RATE * 1000;
+        let scoredFrames = 0;
+        let speechFrames = 0;
+        let maxProb = 0;
+        vad.setCallbacks({
+            onVADUpdate: (speechProb) => {
+                scoredFrames++;
+                maxProb = Math.max(maxProb, speechProb);
+                if (speechProb >= threshold) speechFrames++;
+            }
+        });
+
+        try {
+            if (borrowed) {
+                vad.model = sharedVAD.model;
+                vad.resetStates();
+                vad.isInitialized = true;
+            } else {
+                await vad.initialize();
+            }
+            // Fed in call-sized chunks, as during a call
+            for (let offset = 0; offset < samples.length; offset += 1280) {
+                await vad.processAudio(samples.subarray(offset, offset + 1280));
+            }
+            // Frame errors are logged and skipped inside the client; none scored means no verdict
+            if (scoredFrames === 0) {
+                console.warn('⚠️ Audio check: Silero VAD scored no frames, judging speech from levels');
+                return { available: false, speechMs: 0, maxProb: 0 };
+            }
+            return { available: true, speechMs: Math.round(speechFrames * frameMs), maxProb };
+        } catch (error) {
+            console.warn('⚠️ Audio check: Silero VAD unavailable, judging speech from levels:', error.message || error);
+            return { available: false, speechMs: 0, maxProb: 0 };
+        } finally {
+            if (borrowed) {
+                vad.model = null;   // the app still uses it
+            }
+            vad.destroy();
+        }
+    }
+
+    /**
+     * Measurements and per-check verdicts, each failed check with a concrete fix
+     */
+    static analyze(recording, speech) {
+        const limits = AudioCheck.THRESHOLDS;
+        const rmsDbs = recording.levels.map(level => AudioCheck.toDb(level.rms)).sort((a, b) => a - b);
+        const percentile = (p) => rmsDbs.length ? rmsDbs[Math.min(rmsDbs.length - 1, Math.floor(rmsDbs.length * p))] : -Infinity;
+
+        const noiseFloorDb = percentile(0.1);
+        const speechLevelDb = percentile(0.9);
+        const peakDb = AudioCheck.toDb(recording.levels.reduce((max, level) => Math.max(max, level.peak), 0));
+        const snrDb = speechLevelDb - noiseFloorDb;
+        const clippedRatio = recording.clipped / Math.max(1, recording.samples.length);
+
+        // Without the model, loud-enough windows well above the floor stand in for speech
+        const windowMs = recording.samples.length / AudioCheck.SAMPLE_RATE * 1000 / Math.max(1, rmsDbs.length);
+        const speechMs = speech.available
+            ? speech.speechMs
+            : Math.round(rmsDbs.filter(db => db > noiseFloorDb + limits.minSnrDb && db > limits.minPeakDb - 10).length * windowMs);
+
+        const measurements = {
+            noiseFloorDb, speechLevelDb, peakDb, snrDb,
+            clippedSamples: recording.clipped,
+            speechMs,
+            vad: speech.available ? 'silero' : 'levels'
+        };
+
+        const checks = [];
+        const check = (id, label, passed, detail, fix) => checks.push({ id, label, passed, detail, fix: passed ? null : fix });
+
+        const silent = !(peakDb > limits.silentPeakDb);
+        check('signal', 'Microphone signal', !silent, silent ? 'No audio was captured' : `Peak ${AudioCheck.formatDb(peakDb)}`,
+            'Check the mute switch on your headset cable or earcup, pick the right device in the Microphone list, and make sure the browser and your OS allow microphone access.');
+
+        if (!silent) {
+            check('level', 'Speaking level', peakDb >= limits.minPeakDb, `Peak ${AudioCheck.formatDb(peakDb)}`,
+                'Your voice is too quiet. Move the microphone closer to your mouth, raise the input volume in your OS sound settings, or turn on AGC under Settings → Audio Capture.');
+            check('clipping', 'Clipping', clippedRatio <= limits.maxClippedRatio,
+                recording.clipped ? `${recording.clipped} samples saturated` : 'None',
+                'Your voice is distorting. Lower the input volume in your OS sound settings or move the microphone a little away from your mouth.');
+            check('noise', 'Background noise', noiseFloorDb <= limits.maxNoiseFloorDb, `Noise floor ${AudioCheck.formatDb(noiseFloorDb)}`,
+                'The background is too loud. Move somewhere quieter, switch on noise suppression or the noise gate under Settings → Audio Capture, or use a headset microphone.');
+            check('snr', 'Voice over noise', snrDb >= limits.minSnrDb, `${Number.isFinite(snrDb) ? Math.round(snrDb) : 0} dB`,
+                'Your voice barely stands out from the background. Speak closer to the microphone or reduce the noise around you.');
+        }
+
+        check('speech', 'Speech detected', speechMs >= limits.minSpeechMs,
+            `${(speechMs / 1000).toFixed(1)} s${speech.available ? '' : ' (estimated from levels)'}`,
+            'No clear speech was heard. Say the sentence while the recording runs; if you did, the selected microphone is probably not the one you are speaking into.');
+
+        return { passed: checks.every(entry => entry.passed), measurements, checks };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioCheck;
+} else {
+    window.AudioCheck = AudioCheck;
+}
@@ -0,0 +1,105 @@
+/**
+ * Audio Frame Codec
+ * Binary framing for uplink microphone audio. Each WebSocket binary message is
+ * a fixed 20-byte little-endian header followed by the raw encoded audio bytes:
+ *
+ *   offset  size  field
+ *   0       1     header version (currently 1)
+ *   1       1     format code (see AudioFrameCodec.FORMATS)
+ *   2       2     header length in bytes (lets the server skip unknown extensions)
+ *   4       4     sequence number (wraps at 2^32)
+ *   8       4     sample rate in Hz
+ *   12      8     capture timestamp (ms since epoch, float64)
+ */
+
+class AudioFrameCodec {
+    static get HEADER_VERSION() {
+        return 1;
+    }
+
+    static get HEADER_LENGTH() {
+        return 20;
+    }
+
+    static get FORMATS() {
+        return {
+            pcm16: 1,
+            opus: 2,      // raw Opus packet (WebCodecs), one 20ms frame per message
+            ogg_opus: 3   // Ogg Opus page(s) from the WASM encoder
+        };
+    }
+
+    /**
+     * Map a format name to its wire code (throws on unknown formats)
+     */
+    static formatCode(format) {
+        const code = AudioFrameCodec.FORMATS[format];
+        if (code === undefined) {
+            throw new Error(`Unsupported audio frame format: ${format}`);
+        }
+        return code;
+    }
+
+    /**
+     * Map a wire code back to its format name (null if unknown)
+     */
+    static formatName(code) {
+        const entry = Object.entries(AudioFrameCodec.FORMATS).find(([, value]) => value === code);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Build a binary frame from an ArrayBuffer (or typed array) of audio bytes
+     */
+    static encode(payload, { sequence, sampleRate, timestamp, format = 'pcm16' }) {
+        const bytes = payload instanceof ArrayBuffer
+            ? new Uint8Array(payload)
+            : new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength);
+
+        const frame = new ArrayBuffer(AudioFrameCodec.HEADER_LENGTH + bytes.byteLength);
+        const view = new DataView(frame);
+
+        view.setUint8(0, AudioFrameCodec.HEADER_VERSION);
+        view.setUint8(1, AudioFrameCodec.formatCode(format));
+        view.setUint16(2, AudioFrameCodec.HEADER_LENGTH, true);
+        view.setUint32(4, sequence >>> 0, true);
+        view.setUint32(8, sampleRate, true);
+        view.setFloat64(12, timestamp, true);
+
+        new Uint8Array(frame, AudioFrameCodec.HEADER_LENGTH).set(bytes);
+        return frame;
+    }
+
+    /**
+     * Parse a binary frame back into its header fields and payload view
+     */
+    static decode(frame) {
+        const buffer = frame instanceof ArrayBuffer
+            ? frame
+            : frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.byteLength);
+
+        if (buffer.byteLength < AudioFrameCodec.HEADER_LENGTH) {
+            throw new Error(`Audio frame too short: ${buffer.byteLength} bytes`);
+        }
+
+        const view = new DataView(buffer);
+        const headerLength = view.getUint16(2, true);
+
+        return {
+            version: view.getUint8(0),
+            format: AudioFrameCodec.formatName(view.getUint8(1)),
+            headerLength: headerLength,
+            sequence: view.getUint32(4, true),
+            sampleRate: view.getUint32(8, true),
+            timestamp: view.getFloat64(12, true),
+            payload: new Uint8Array(buffer, headerLength)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioFrameCodec;
+} else {
+    window.AudioFrameCodec = AudioFrameCodec;
+}
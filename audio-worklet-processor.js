@@ -1,20 +1,398 @@
 
 // Downsamples browser audio to 16kHz PCM16 with minimal latency
 // Includes immediate VAD processing for zero-latency barge-in
+// Nothing is allocated per render quantum: samples move through preallocated Float32 ring
+// buffers, so the audio thread produces no garbage for the collector to pause on.
+
+// Fixed-capacity FIFO of float samples. When full, the oldest samples are overwritten.
+class FloatRingBuffer {
+    constructor(capacity) {
+        this.data = new Float32Array(capacity);
+        this.capacity = capacity;
+        this.readIndex = 0;
+        this.length = 0;
+        this.overruns = 0;   // samples discarded because the reader fell behind
+    }
+
+    write(samples, count = samples.length) {
+        for (let i = 0; i < count; i++) {
+            const writeIndex = (this.readIndex + this.length) % this.capacity;
+            this.data[writeIndex] = samples[i];
+            if (this.length < this.capacity) {
+                this.length++;
+            } else {
+                this.readIndex = (this.readIndex + 1) % this.capacity;
+                this.overruns++;
+            }
+        }
+    }
+
+    // Move count samples into target (which must hold them); returns false if not enough are buffered
+    read(target, count = target.length) {
+        if (this.length < count) return false;
+        for (let i = 0; i < count; i++) {
+            target[i] = this.data[this.readIndex];
+            this.readIndex = (this.readIndex + 1) % this.capacity;
+        }
+        this.length -= count;
+        return true;
+    }
+
+    clear() {
+        this.readIndex = 0;
+        this.length = 0;
+    }
+}
+
+// Writer half of the SharedArrayBuffer capture ring; shared-audio-ring.js is the reader and
+// defines the same layout: Int32 [writeIndex, readIndex] header, then Int16 samples.
+class SharedPcm16Writer {
+    constructor(sharedBuffer) {
+        this.header = new Int32Array(sharedBuffer, 0, 2);
+        this.samples = new Int16Array(sharedBuffer, 8);
+        this.capacity = this.samples.length;
+        this.dropped = 0;
+    }
+
+    // Append a whole chunk, or nothing if the reader hasn't made room for it
+    write(floats, count) {
+        const writeIndex = Atomics.load(this.header, 0);
+        const readIndex = Atomics.load(this.header, 1);
+        const used = (writeIndex - readIndex + this.capacity) % this.capacity;
+        if (this.capacity - 1 - used < count) {
+            this.dropped += count;
+            return false;
+        }
+        let index = writeIndex;
+        for (let i = 0; i < count; i++) {
+            const sample = Math.max(-1, Math.min(1, floats[i]));
+            this.samples[index] = sample < 0 ? sample * 32768 : sample * 32767;
+            index = (index + 1) % this.capacity;
+        }
+        Atomics.store(this.header, 0, index);
+        return true;
+    }
+}
+
+// Polyphase windowed-sinc resampler. Upsamples by L, low-pass filters below the output
+// Nyquist and decimates by M in one pass, computing only the output samples it needs.
+// The last taps-1 input samples are carried between calls, so 128-sample render quanta
+// produce exactly the same output as one long buffer - no clicks at chunk boundaries.
+class PolyphaseResampler {
+    // Stopband attenuation and transition width below the output Nyquist frequency.
+    // Narrower transitions keep more of the speech band but need longer filters.
+    static get QUALITY() {
+        return {
+            low: { attenuationDb: 40, transitionHz: 2000 },      // passband to 6 kHz at 16 kHz out
+            medium: { attenuationDb: 60, transitionHz: 1500 },   // to 6.5 kHz
+            high: { attenuationDb: 80, transitionHz: 1000 }      // to 7 kHz
+        };
+    }
+
+    constructor(inputRate, outputRate, quality = 'high') {
+        const settings = PolyphaseResampler.QUALITY[quality] || PolyphaseResampler.QUALITY.high;
+        const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+        const divisor = gcd(Math.round(inputRate), Math.round(outputRate));
+
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.quality = PolyphaseResampler.QUALITY[quality] ? quality : 'high';
+        this.up = Math.round(outputRate) / divisor;      // L
+        this.down = Math.round(inputRate) / divisor;     // M
+        // Kaiser's length estimate, counted in input samples (taps per polyphase branch)
+        this.taps = Math.ceil((settings.attenuationDb - 7.95) / (14.36 * settings.transitionHz / inputRate)) + 1;
+        this.phases = this._designFilter(settings);
+        this.carried = this.taps - 1;                    // input samples kept from the previous call
+        this.work = new Float32Array(this.carried + 128);  // carried samples followed by the current block
+        this.position = 0;                               // next output, in upsampled samples from input[0]
+    }
+
+    // Zeroth-order modified Bessel function, for the Kaiser window
+    static _besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+
+    // Kaiser window shape parameter for a given stopband attenuation
+    static _kaiserBeta(attenuationDb) {
+        if (attenuationDb > 50) return 0.1102 * (attenuationDb - 8.7);
+        if (attenuationDb >= 21) return 0.5842 * Math.pow(attenuationDb - 21, 0.4) + 0.07886 * (attenuationDb - 21);
+        return 0;
+    }
+
+    // Kaiser-windowed sinc at the upsampled rate, split into L phases of taps coefficients.
+    // The stopband starts at the lower Nyquist frequency, so nothing above it folds back.
+    _designFilter(settings) {
+        const length = this.up * this.taps;
+        const upsampledRate = this.inputRate * this.up;
+        const nyquist = Math.min(this.inputRate, this.outputRate) / 2;
+        const cutoff = (nyquist - settings.transitionHz / 2) / upsampledRate;
+        const center = (length - 1) / 2;
+        const beta = PolyphaseResampler._kaiserBeta(settings.attenuationDb);
+        const windowNorm = PolyphaseResampler._besselI0(beta);
+
+        const phases = [];
+        for (let p = 0; p < this.up; p++) {
+            phases.push(new Float32Array(this.taps));
+        }
+        for (let n = 0; n < length; n++) {
+            const t = n - center;
+            const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+            const ratio = t / center;
+            const window = PolyphaseResampler._besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / windowNorm;
+            // Gain of L makes up for the zeros the upsampler inserts
+            phases[n % this.up][Math.floor(n / this.up)] = sinc * window * this.up;
+        }
+        return phases;
+    }
+
+    // Most output samples one block of inputLength samples can produce
+    maxOutput(inputLength) {
+        return Math.ceil((inputLength * this.up) / this.down) + 1;
+    }
+
+    // Resample one block into a new array (offline use; the worklet uses processInto)
+    process(input) {
+        const output = new Float32Array(this.maxOutput(input.length));
+        return output.slice(0, this.processInto(input, output));
+    }
+
+    // Resample one block into output (sized with maxOutput); returns the number of samples written
+    processInto(input, output) {
+        if (this.up === this.down) {
+            output.set(input);
+            return input.length;
+        }
+
+        const carried = this.carried;
+        if (this.work.length < carried + input.length) {
+            // Only offline callers pass blocks longer than a render quantum
+            const grown = new Float32Array(carried + input.length);
+            grown.set(this.work.subarray(0, carried));
+            this.work = grown;
+        }
+        const work = this.work;
+        work.set(input, carried);
+
+        const available = input.length * this.up - this.position;
+        const count = available > 0 ? Math.ceil(available / this.down) : 0;
+
+        let position = this.position;
+        for (let k = 0; k < count; k++) {
+            const index = Math.floor(position / this.up);
+            const coefficients = this.phases[position - index * this.up];
+            const newest = index + carried;   // input[index] in work
+            let acc = 0;
+            for (let j = 0; j < this.taps; j++) {
+                acc += coefficients[j] * work[newest - j];
+            }
+            output[k] = acc;
+            position += this.down;
+        }
+
+        this.position = position - input.length * this.up;
+        work.copyWithin(0, input.length, input.length + carried);
+        return count;
+    }
+
+    reset() {
+        this.work.fill(0);
+        this.position = 0;
+    }
+}
+
+/**
+ * Optional client-side clean-up of the 16 kHz signal: high-pass filter (rumble, desk thumps),
+ * noise gate (room noise between phrases) and a slow AGC with a peak limiter (quiet or distant
+ * talkers). Each stage is off unless enabled; parameters can change mid-call via configure().
+ * Runs in place on the resampled buffer, so it allocates nothing per quantum.
+ */
+class CaptureProcessor {
+    static get GATE_HYSTERESIS_DB() {
+        return 6;
+    }
+
+    static get GATE_HOLD_MS() {
+        return 150;
+    }
+
+    static get GATE_FLOOR_DB() {
+        return -40;
+    }
+
+    static get LIMITER_CEILING() {
+        return 0.98;
+    }
+
+    constructor(sampleRate, params = {}) {
+        this.sampleRate = sampleRate;
+        const smoothing = (ms) => Math.exp(-1000 / (ms * sampleRate));
+
+        // High-pass biquad state (direct form I)
+        this._x1 = 0; this._x2 = 0; this._y1 = 0; this._y2 = 0;
+
+        // Gate: envelope follower, then a smoothed gain towards open (1) or the floor
+        this._envelope = 0;
+        this._envAttack = smoothing(5);
+        this._envRelease = smoothing(100);
+        this._gateOpen = false;
+        this._holdSamples = Math.round(CaptureProcessor.GATE_HOLD_MS * sampleRate / 1000);
+        this._holdRemaining = 0;
+        this._gateGain = 1;
+        this._gateFloor = Math.pow(10, CaptureProcessor.GATE_FLOOR_DB / 20);
+        this._gateOpening = smoothing(2);
+        this._gateClosing = smoothing(50);
+
+        // AGC: speech level (mean square) tracked only while someone is talking
+        this._level = 0;
+        this._levelSmoothing = smoothing(300);
+        this._agcGain = 1;
+        this._agcRising = smoothing(500);
+        this._agcFalling = smoothing(50);
+        this._limiterGain = 1;
+        this._limiterRelease = smoothing(100);
+
+        this.params = { highPass: false, highPassHz: 100, noiseGate: false, gateThresholdDb: -50, agc: false, agcTargetDb: -20, agcMaxGainDb: 12 };
+        this.configure(params);
+    }
+
+    get enabled() {
+        return this.params.highPass || this.params.noiseGate || this.params.agc;
+    }
+
+    configure(params) {
+        Object.keys(this.params).forEach((key) => {
+            if (params[key] !== undefined) this.params[key] = params[key];
+        });
+
+        // RBJ cookbook high-pass, Butterworth Q
+        const w0 = 2 * Math.PI * Math.min(this.params.highPassHz, this.sampleRate / 4) / this.sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+        const a0 = 1 + alpha;
+        this._b0 = (1 + cos) / 2 / a0;
+        this._b1 = -(1 + cos) / a0;
+        this._b2 = this._b0;
+        this._a1 = -2 * cos / a0;
+        this._a2 = (1 - alpha) / a0;
+
+        this._openThreshold = Math.pow(10, this.params.gateThresholdDb / 20);
+        this._closeThreshold = Math.pow(10, (this.params.gateThresholdDb - CaptureProcessor.GATE_HYSTERESIS_DB) / 20);
+        this._agcTarget = Math.pow(10, this.params.agcTargetDb / 20);
+        this._agcMaxGain = Math.pow(10, this.params.agcMaxGainDb / 20);
+        this._agcMinGain = 1 / this._agcMaxGain;
+
+        if (!this.params.highPass) {
+            this._x1 = 0; this._x2 = 0; this._y1 = 0; this._y2 = 0;
+        }
+        if (!this.params.agc) {
+            this._agcGain = 1;
+            this._limiterGain = 1;
+        }
+    }
+
+    process(buffer, count) {
+        const { highPass, noiseGate, agc } = this.params;
+        if (!highPass && !noiseGate && !agc) return;
+
+        for (let i = 0; i < count; i++) {
+            let sample = buffer[i];
+
+            if (highPass) {
+                const filtered = this._b0 * sample + this._b1 * this._x1 + this._b2 * this._x2 - this._a1 * this._y1 - this._a2 * this._y2;
+                this._x2 = this._x1; this._x1 = sample;
+                this._y2 = this._y1; this._y1 = filtered;
+                sample = filtered;
+            }
+
+            const magnitude = Math.abs(sample);
+            const envSmoothing = magnitude > this._envelope ? this._envAttack : this._envRelease;
+            this._envelope = envSmoothing * this._envelope + (1 - envSmoothing) * magnitude;
+
+            // Open above the threshold; close only once the level has dropped below it by the
+            // hysteresis margin for the whole hold time, so word endings are not clipped
+            if (this._envelope >= this._openThreshold) {
+                this._gateOpen = true;
+                this._holdRemaining = this._holdSamples;
+            } else if (this._gateOpen && this._envelope < this._closeThreshold) {
+                if (--this._holdRemaining <= 0) this._gateOpen = false;
+            }
+
+            if (noiseGate) {
+                const target = this._gateOpen ? 1 : this._gateFloor;
+                const gateSmoothing = target > this._gateGain ? this._gateOpening : this._gateClosing;
+                this._gateGain = gateSmoothing * this._gateGain + (1 - gateSmoothing) * target;
+                sample *= this._gateGain;
+            }
+
+            if (agc) {
+                if (this._gateOpen) {
+                    this._level = this._levelSmoothing * this._level + (1 - this._levelSmoothing) * sample * sample;
+                }
+                if (this._level > 0) {
+                    const wanted = Math.min(this._agcMaxGain, Math.max(this._agcMinGain, this._agcTarget / Math.sqrt(this._level)));
+                    const agcSmoothing = wanted > this._agcGain ? this._agcRising : this._agcFalling;
+                    this._agcGain = agcSmoothing * this._agcGain + (1 - agcSmoothing) * wanted;
+                }
+                sample *= this._agcGain;
+
+                // Peak limiter: clamp instantly, recover smoothly
+                const peak = Math.abs(sample) * this._limiterGain;
+                if (peak > CaptureProcessor.LIMITER_CEILING) {
+                    this._limiterGain = CaptureProcessor.LIMITER_CEILING / Math.abs(sample);
+                } else {
+                    this._limiterGain = this._limiterRelease * this._limiterGain + (1 - this._limiterRelease);
+                }
+                sample *= this._limiterGain;
+            }
+
+            buffer[i] = sample;
+        }
+    }
+}
 
 class DownsampleTo16kPCM16Processor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
+        const processorOptions = (options && options.processorOptions) || {};
         this._inputSampleRate = sampleRate; // Browser sample rate (44.1kHz or 48kHz)
         this._outputSampleRate = 16000;
-        this._buffer = [];
-        this._chunkSize = 1280; // 80ms at 16kHz for real-time feel
+        this._chunkSize = processorOptions.chunkSize || 1280; // 80ms at 16kHz for real-time feel
         this._processedSamples = 0;
+        this._resampler = new PolyphaseResampler(this._inputSampleRate, this._outputSampleRate, processorOptions.resamplerQuality);
+        this._resampled = new Float32Array(this._resampler.maxOutput(128));   // one render quantum, resampled
+        this._buffer = new FloatRingBuffer(this._chunkSize * 2);
+        this._chunk = new Float32Array(this._chunkSize);
+        this._capture = new CaptureProcessor(this._outputSampleRate, processorOptions.capture);
+
+        // Optional zero-copy path: PCM16 goes into a SharedArrayBuffer ring the main thread reads,
+        // instead of a transferred ArrayBuffer per chunk
+        this._sharedWriter = processorOptions.sharedBuffer ? new SharedPcm16Writer(processorOptions.sharedBuffer) : null;
+        this._audioReadyMessage = { type: 'audioReady' };
         
-        // VAD processing buffer (for parallel VAD analysis)
-        this._vadBuffer = [];
-        this._vadWindowSize = 1024; // 64ms at 16kHz for VAD
-        this._lastVadResult = { speechProb: 0, isSpeaking: false };
+        // VAD processing buffer (for parallel VAD analysis), fed from the resampled signal.
+        // Windows keep their original length of 1024 input-rate samples so VAD timing is unchanged.
+        this._vadWindowSize = Math.round(1024 * this._outputSampleRate / this._inputSampleRate);
+        this._vadBuffer = new FloatRingBuffer(this._vadWindowSize * 2);
+        this._vadWindow = new Float32Array(this._vadWindowSize);
+        this._lastVadResult = { speechProb: 0, isSpeaking: false, energy: 0, stateChanged: false, timestamp: 0 };
+        this._vadMessage = { type: 'vadResult', data: this._lastVadResult };
+
+        // Input level for the meter and dead-mic detection, measured on the microphone signal
+        // before client processing (a closed noise gate is not a dead microphone). Clipped counts
+        // samples that saturate in the PCM16 conversion. Reported once per VAD window.
+        this._levelSumSquares = 0;
+        this._levelPeak = 0;
+        this._levelSamples = 0;
+        this._clippedSamples = 0;
+        this._levelReport = { rms: 0, peak: 0, clipped: 0, timestamp: 0 };
+        this._levelMessage = { type: 'inputLevel', data: this._levelReport };
         
         // Energy-based VAD parameters (lightweight fallback) - Less sensitive to background noise
         this._energyThreshold = 0.05;  // Increased from 0.01 - much less sensitive
@@ -24,7 +402,7 @@ class DownsampleTo16kPCM16Processor extends AudioWorkletProcessor {
         this._minSilenceFrames = 5; // ~300ms of silence (increased from 125ms)
         this._currentIsSpeaking = false;
         
-        console.log('🎤 Audio Worklet with VAD initialized');
+        console.log(`🎤 Audio Worklet with VAD initialized (${this._inputSampleRate} Hz → ${this._outputSampleRate} Hz, ${this._resampler.quality} quality resampler)`);
         
         // Listen for VAD configuration updates
         this.port.onmessage = (event) => {
@@ -36,30 +414,13 @@ class DownsampleTo16kPCM16Processor extends AudioWorkletProcessor {
                 this._minSilenceFrames = Math.floor((data.minSilenceDurationMs || 300) / 64);
                 console.log('🔧 VAD config updated in worklet:', data);
             }
+            if (type === 'captureProcessing') {
+                this._capture.configure(data);
+                console.log('🔧 Capture processing updated in worklet:', data);
+            }
         };
     }
 
-    // Optimized downsampling for real-time performance
-    _downsampleBuffer(buffer, inSampleRate, outSampleRate) {
-        if (inSampleRate === outSampleRate) return buffer;
-        
-        const ratio = inSampleRate / outSampleRate;
-        const newLength = Math.floor(buffer.length / ratio);
-        const result = new Float32Array(newLength);
-
-        // Linear interpolation for better quality at real-time speeds
-        for (let i = 0; i < newLength; i++) {
-            const srcIndex = i * ratio;
-            const srcIndexFloor = Math.floor(srcIndex);
-            const srcIndexCeil = Math.min(srcIndexFloor + 1, buffer.length - 1);
-            const fraction = srcIndex - srcIndexFloor;
-            
-            // Linear interpolation between samples
-            result[i] = buffer[srcIndexFloor] * (1 - fraction) + buffer[srcIndexCeil] * fraction;
-        }
-        return result;
-    }
-    
     // Lightweight energy-based VAD for immediate processing
     _processVAD(audioChunk) {
         try {
@@ -102,22 +463,17 @@ class DownsampleTo16kPCM16Processor extends AudioWorkletProcessor {
             const stateChanged = isSpeaking !== this._currentIsSpeaking;
             this._currentIsSpeaking = isSpeaking;
             
-            const vadResult = {
-                speechProb: speechProb,
-                isSpeaking: isSpeaking,
-                energy: energy,
-                stateChanged: stateChanged,
-                timestamp: currentTime
-            };
-            
-            this._lastVadResult = vadResult;
+            // Reused every window; postMessage copies it, so updating it in place is safe
+            const vadResult = this._lastVadResult;
+            vadResult.speechProb = speechProb;
+            vadResult.isSpeaking = isSpeaking;
+            vadResult.energy = energy;
+            vadResult.stateChanged = stateChanged;
+            vadResult.timestamp = currentTime;
             
             // Send VAD result to main thread immediately if state changed or periodically
             if (stateChanged || this._processedSamples % (this._chunkSize * 2) === 0) {
-                this.port.postMessage({
-                    type: 'vadResult',
-                    data: vadResult
-                });
+                this.port.postMessage(this._vadMessage);
             }
             
             return vadResult;
@@ -128,6 +484,36 @@ class DownsampleTo16kPCM16Processor extends AudioWorkletProcessor {
         }
     }
 
+    _measureLevel(samples, count) {
+        for (let i = 0; i < count; i++) {
+            const magnitude = Math.abs(samples[i]);
+            this._levelSumSquares += magnitude * magnitude;
+            if (magnitude > this._levelPeak) this._levelPeak = magnitude;
+        }
+        this._levelSamples += count;
+
+        if (this._levelSamples >= this._vadWindowSize) {
+            const report = this._levelReport;
+            report.rms = Math.sqrt(this._levelSumSquares / this._levelSamples);
+            report.peak = this._levelPeak;
+            report.clipped = this._clippedSamples;
+            report.timestamp = currentTime;
+            this.port.postMessage(this._levelMessage);
+
+            this._levelSumSquares = 0;
+            this._levelPeak = 0;
+            this._levelSamples = 0;
+            this._clippedSamples = 0;
+        }
+    }
+
+    // Samples at or beyond full scale, which the PCM16 conversion flattens
+    _countClipped(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+            if (chunk[i] >= 1 || chunk[i] <= -1) this._clippedSamples++;
+        }
+    }
+
     process(inputs) {
         const input = inputs[0];
         if (input.length === 0) return true;
@@ -136,52 +522,47 @@ class DownsampleTo16kPCM16Processor extends AudioWorkletProcessor {
         const inputChannel = input[0];
         if (!inputChannel) return true;
 
-        // Buffer audio samples for processing
-        this._buffer.push(...inputChannel);
-        this._vadBuffer.push(...inputChannel);
+        // Anti-aliased resample to 16kHz and clean up once; VAD and the uplink share the result
+        if (this._resampled.length < this._resampler.maxOutput(inputChannel.length)) {
+            this._resampled = new Float32Array(this._resampler.maxOutput(inputChannel.length));
+        }
+        const resampledCount = this._resampler.processInto(inputChannel, this._resampled);
+        this._measureLevel(this._resampled, resampledCount);
+        this._capture.process(this._resampled, resampledCount);
+        this._buffer.write(this._resampled, resampledCount);
+        this._vadBuffer.write(this._resampled, resampledCount);
 
         // Process VAD on smaller windows for responsiveness
-        while (this._vadBuffer.length >= this._vadWindowSize) {
-            const vadChunk = this._vadBuffer.slice(0, this._vadWindowSize);
-            this._vadBuffer = this._vadBuffer.slice(this._vadWindowSize);
-            
-            // Downsample VAD chunk for processing
-            const vadDownsampled = this._downsampleBuffer(
-                new Float32Array(vadChunk), 
-                this._inputSampleRate, 
-                this._outputSampleRate
-            );
-            
-            // Process VAD immediately
-            this._processVAD(vadDownsampled);
+        while (this._vadBuffer.read(this._vadWindow)) {
+            this._processVAD(this._vadWindow);
         }
 
         // Process in optimal chunks for real-time streaming (80ms)
         // This balances latency vs. processing efficiency
-        const requiredInputLength = Math.floor(this._chunkSize * (this._inputSampleRate / this._outputSampleRate));
-
-        while (this._buffer.length >= requiredInputLength) {
-            const chunk = this._buffer.slice(0, requiredInputLength);
-            this._buffer = this._buffer.slice(requiredInputLength);
-
-            // Downsample to 16kHz with interpolation
-            const downsampled = this._downsampleBuffer(new Float32Array(chunk), this._inputSampleRate, this._outputSampleRate);
+        while (this._buffer.read(this._chunk)) {
+            this._countClipped(this._chunk);
+            if (this._sharedWriter) {
+                if (this._sharedWriter.write(this._chunk, this._chunkSize)) {
+                    this.port.postMessage(this._audioReadyMessage);
+                }
+            } else {
+                // Convert Float32 [-1,1] to PCM16 with proper scaling. This buffer is transferred
+                // to the main thread, so it is the one allocation left - once per chunk, not per quantum.
+                const pcm16 = new Int16Array(this._chunkSize);
+                for (let i = 0; i < this._chunkSize; i++) {
+                    // Clamp and scale to 16-bit range
+                    let sample = Math.max(-1, Math.min(1, this._chunk[i]));
+                    pcm16[i] = sample < 0 ? sample * 32768 : sample * 32767;
+                }
 
-            // Convert Float32 [-1,1] to PCM16 with proper scaling
-            const pcm16 = new Int16Array(downsampled.length);
-            for (let i = 0; i < downsampled.length; i++) {
-                // Clamp and scale to 16-bit range
-                let sample = Math.max(-1, Math.min(1, downsampled[i]));
-                pcm16[i] = sample < 0 ? sample * 32768 : sample * 32767;
+                // Send buffer to main thread immediately for real-time streaming
+                this.port.postMessage({
+                    type: 'audioData',
+                    data: pcm16.buffer
+                }, [pcm16.buffer]);
             }
-
-            // Send buffer to main thread immediately for real-time streaming
-            this.port.postMessage({
-                type: 'audioData',
-                data: pcm16.buffer
-            }, [pcm16.buffer]);
             
-            this._processedSamples += pcm16.length;
+            this._processedSamples += this._chunkSize;
         }
         return true;
     }
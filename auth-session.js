@@ -0,0 +1,214 @@
+/**
+ * Auth Session
+ * Holds the access token, reads its expiry from the JWT `exp` claim (or the login
+ * response's `expires_in`), refreshes it via POST /refresh shortly before it lapses,
+ * and retries a request that comes back 401 once after a refresh.
+ */
+
+class AuthSession {
+    /**
+     * Longest delay setTimeout honours (~24.8 days); anything larger fires immediately
+     */
+    static get MAX_TIMER_MS() {
+        return 2147483647;
+    }
+
+    /**
+     * Expiry (ms since epoch) from a JWT's `exp` claim, or null if the token isn't a readable JWT
+     */
+    static decodeExpiry(token) {
+        if (typeof token !== 'string') return null;
+        const parts = token.split('.');
+        if (parts.length < 2) return null;
+
+        try {
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+            const payload = JSON.parse(atob(padded));
+            return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            getApiUrl: options.getApiUrl || (() => ''),
+            refreshLeadMs: options.refreshLeadMs || 60000,     // refresh this long before expiry
+            retryDelayMs: options.retryDelayMs || 15000,       // wait between failed proactive refreshes
+            ...options
+        };
+
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.expiresAt = null;
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+
+        // Callbacks
+        this.callbacks = {
+            onRefreshed: null, // (accessToken, expiresAt)
+            onExpired: null    // (error) - token lapsed and could not be refreshed
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    get isAuthenticated() {
+        return !!this.accessToken && !this.isExpired();
+    }
+
+    isExpired(now = Date.now()) {
+        return this.expiresAt !== null && now >= this.expiresAt;
+    }
+
+    /**
+     * Store tokens from a /login or /refresh response and schedule the next refresh
+     */
+    setTokens(data) {
+        this.accessToken = data.access_token;
+        if (data.refresh_token) {
+            this.refreshToken = data.refresh_token;
+        }
+
+        this.expiresAt = AuthSession.decodeExpiry(this.accessToken);
+        if (this.expiresAt === null && typeof data.expires_in === 'number') {
+            this.expiresAt = Date.now() + data.expires_in * 1000;
+        }
+
+        this.scheduleRefresh();
+    }
+
+    scheduleRefresh(delayMs = null) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        if (this.expiresAt === null) return; // No known expiry - rely on 401 handling
+
+        const delay = delayMs !== null ? delayMs : Math.max(0, this.expiresAt - Date.now() - this.options.refreshLeadMs);
+        if (delay > AuthSession.MAX_TIMER_MS) {
+            // Long-lived token: wake up at the timer limit and schedule again from there
+            this.refreshTimer = setTimeout(() => this.scheduleRefresh(), AuthSession.MAX_TIMER_MS);
+        } else {
+            this.refreshTimer = setTimeout(() => this.handleScheduledRefresh(), delay);
+        }
+        console.log(`🔑 Token expires ${new Date(this.expiresAt).toLocaleTimeString()}, refresh in ${Math.round(delay / 1000)}s`);
+    }
+
+    async handleScheduledRefresh() {
+        this.refreshTimer = null;
+        const refreshed = await this.refresh();
+        if (refreshed) return;
+
+        if (this.isExpired()) {
+            this.expire(new Error('Access token expired and could not be refreshed'));
+        } else {
+            // Still valid for a while - keep trying until it lapses
+            const untilExpiry = this.expiresAt - Date.now();
+            this.scheduleRefresh(Math.min(this.options.retryDelayMs, untilExpiry));
+        }
+    }
+
+    /**
+     * Exchange the current credentials for a new access token. Concurrent callers share
+     * one request. Resolves true on success, false otherwise.
+     */
+    refresh() {
+        if (!this.accessToken && !this.refreshToken) {
+            return Promise.resolve(false);
+        }
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async requestRefresh() {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.accessToken) {
+                headers['Authorization'] = `Bearer ${this.accessToken}`;
+            }
+
+            const response = await fetch(`${this.options.getApiUrl()}/refresh`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ refresh_token: this.refreshToken })
+            });
+
+            if (!response.ok) {
+                console.warn(`⚠️ Token refresh rejected (${response.status})`);
+                return false;
+            }
+
+            const data = await response.json();
+            if (!data.access_token) {
+                console.warn('⚠️ Token refresh response had no access_token');
+                return false;
+            }
+
+            this.setTokens(data);
+            console.log('🔑 Access token refreshed');
+            if (this.callbacks.onRefreshed) {
+                this.callbacks.onRefreshed(this.accessToken, this.expiresAt);
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Token refresh failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * fetch() with the bearer token; a 401 triggers one refresh and one retry. If the
+     * refresh fails the session is expired and the original 401 response is returned.
+     */
+    async authorizedFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), 'Authorization': `Bearer ${this.accessToken}` }
+        });
+
+        const response = await send();
+        if (response.status !== 401) {
+            return response;
+        }
+
+        console.warn(`🔑 ${url} returned 401 - refreshing token and retrying once`);
+        if (!(await this.refresh())) {
+            this.expire(new Error('Authentication rejected and token refresh failed'));
+            return response;
+        }
+        return send();
+    }
+
+    expire(error) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        console.warn('🔒 Session expired:', error.message);
+        if (this.callbacks.onExpired) {
+            this.callbacks.onExpired(error);
+        }
+    }
+
+    clear() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.expiresAt = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthSession;
+} else {
+    window.AuthSession = AuthSession;
+}
@@ -0,0 +1,130 @@
+/**
+ * Capture Settings
+ * The operator's microphone processing choices: the browser's echo cancellation, noise
+ * suppression and auto gain (getUserMedia constraints), and the worklet's own high-pass
+ * filter, noise gate and AGC. Deployment defaults come from the runtime config's `capture`
+ * section; the operator's changes are validated against the same schema and kept per browser.
+ */
+
+class CaptureSettings {
+    static get STORAGE_KEY() {
+        return 'capture_settings';
+    }
+
+    static get CONSTRAINT_KEYS() {
+        return ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+    }
+
+    constructor(defaults, options = {}) {
+        this.options = {
+            storage: options.storage || window.localStorage,
+            ...options
+        };
+        this.storage = this.options.storage;
+        this.defaults = { ...defaults };
+        this.values = { ...defaults, ...this.loadStored() };
+    }
+
+    /**
+     * Stored overrides that still pass validation; anything else is dropped
+     */
+    loadStored() {
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(CaptureSettings.STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('⚠️ Discarding unreadable capture settings');
+            return {};
+        }
+
+        const valid = {};
+        Object.entries(stored || {}).forEach(([key, value]) => {
+            if (!this.validate(key, value)) {
+                valid[key] = value;
+            }
+        });
+        return valid;
+    }
+
+    validate(key, value) {
+        const spec = RuntimeConfig.SCHEMA.capture[key];
+        return spec ? RuntimeConfig.checkValue(spec, value) : 'unknown setting';
+    }
+
+    /**
+     * Apply and persist changes. Returns { constraintsChanged, processingChanged } so the caller
+     * knows whether to reopen the microphone or just retune the worklet.
+     */
+    update(changes) {
+        const result = { constraintsChanged: false, processingChanged: false };
+        Object.entries(changes).forEach(([key, value]) => {
+            const error = this.validate(key, value);
+            if (error) {
+                console.warn(`⚠️ Ignoring capture setting ${key}: ${error}`);
+                return;
+            }
+            if (this.values[key] === value) return;
+
+            this.values[key] = value;
+            if (CaptureSettings.CONSTRAINT_KEYS.includes(key)) {
+                result.constraintsChanged = true;
+            } else {
+                result.processingChanged = true;
+            }
+        });
+
+        if (result.constraintsChanged || result.processingChanged) {
+            this.save();
+        }
+        return result;
+    }
+
+    save() {
+        // Only what differs from the deployment defaults, so later default changes still apply
+        const overrides = {};
+        Object.entries(this.values).forEach(([key, value]) => {
+            if (value !== this.defaults[key]) {
+                overrides[key] = value;
+            }
+        });
+        this.storage.setItem(CaptureSettings.STORAGE_KEY, JSON.stringify(overrides));
+    }
+
+    reset() {
+        this.values = { ...this.defaults };
+        this.storage.removeItem(CaptureSettings.STORAGE_KEY);
+    }
+
+    /**
+     * getUserMedia audio constraints
+     */
+    get constraints() {
+        return {
+            echoCancellation: this.values.echoCancellation,
+            noiseSuppression: this.values.noiseSuppression,
+            autoGainControl: this.values.autoGainControl
+        };
+    }
+
+    /**
+     * Worklet processing parameters (processorOptions.capture / 'captureProcessing' messages)
+     */
+    get processing() {
+        return {
+            highPass: this.values.highPass,
+            highPassHz: this.values.highPassHz,
+            noiseGate: this.values.noiseGate,
+            gateThresholdDb: this.values.gateThresholdDb,
+            agc: this.values.agc,
+            agcTargetDb: this.values.agcTargetDb,
+            agcMaxGainDb: this.values.agcMaxGainDb
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptureSettings;
+} else {
+    window.CaptureSettings = CaptureSettings;
+}
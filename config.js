@@ -1,124 +1,395 @@
 // Configuration for API endpoints
+// Backends are chosen from named environment profiles. The choice is persisted per browser
+// and can be overridden for a single page load with ?env=<profile> or ?backend=<url> (QA links).
+// A ?backend= host outside TRUSTED_HOSTS is only used after the operator confirms it, since the
+// login form sends their password to whatever backend is active.
 class Config {
+    static get PROFILES() {
+        return {
+            local: { label: 'Local', apiUrl: 'http://localhost:8000' },
+            production: { label: 'Production', apiUrl: 'https://voiceagent.rebortai.com' },
+            custom: { label: 'Custom', apiUrl: null }
+        };
+    }
+
+    /**
+     * Hosts a ?backend= link may switch to without asking: the named profiles' and this machine
+     */
+    static get TRUSTED_HOSTS() {
+        const hosts = ['localhost', '127.0.0.1'];
+        Object.values(Config.PROFILES).forEach((profile) => {
+            if (profile.apiUrl) hosts.push(new URL(profile.apiUrl).hostname);
+        });
+        return hosts;
+    }
+
+    static isTrustedUrl(url) {
+        try {
+            return Config.TRUSTED_HOSTS.includes(new URL(url).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static get STORAGE_KEYS() {
+        return {
+            profile: 'backend_profile',
+            customUrl: 'backend_custom_url'
+        };
+    }
+
+    /**
+     * Normalise a user-entered backend URL (adds https://, strips trailing slashes); null if invalid
+     */
+    static normalizeUrl(url) {
+        if (!url || !url.trim()) return null;
+        let candidate = url.trim();
+        if (!/^https?:\/\//i.test(candidate)) {
+            candidate = `https://${candidate}`;
+        }
+        try {
+            const parsed = new URL(candidate);
+            return `${parsed.protocol}//${parsed.host}${parsed.pathname}`.replace(/\/+$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static toWsUrl(apiUrl) {
+        return apiUrl.replace(/^http/i, 'ws');
+    }
+
+    static get HEALTH_CHECK() {
+        return {
+            timeoutMs: 5000,      // per attempt; fetch() has no timeout of its own
+            retries: 2,           // extra attempts after a timeout, network error or 5xx
+            retryDelayMs: 1000    // doubled after each failed attempt
+        };
+    }
+
+    /**
+     * The page-load probe: one short attempt, so a slow or dead backend can't keep the login
+     * screen and settings panel from appearing. startCall() runs the full check before a call.
+     */
+    static get STARTUP_HEALTH_CHECK() {
+        return {
+            timeoutMs: 1500,
+            retries: 0
+        };
+    }
+
+    /**
+     * Normalise a /config response into the capabilities the app checks before a call.
+     * Fields the backend doesn't report stay null, meaning "unknown - assume supported".
+     */
+    static parseCapabilities(body) {
+        const payload = body && typeof body === 'object' ? body : {};
+        const nested = payload.capabilities && typeof payload.capabilities === 'object' ? payload.capabilities : {};
+        const pick = (...keys) => {
+            for (const key of keys) {
+                if (nested[key] !== undefined) return nested[key];
+                if (payload[key] !== undefined) return payload[key];
+            }
+            return undefined;
+        };
+        const list = (value) => (Array.isArray(value) ? value.map(String) : null);
+        const rates = (value) => (Array.isArray(value) ? value.filter(rate => typeof rate === 'number') : null);
+        const sampleRates = pick('sample_rates') || {};
+        const features = pick('features');
+
+        return {
+            backend: pick('backend') || null,
+            backendVersion: pick('backend_version', 'version') || null,
+            protocolVersion: pick('protocol_version') || null,
+            audioFormats: list(pick('audio_formats')),
+            sttProviders: list(pick('stt_providers')),
+            ttsProviders: list(pick('tts_providers')),
+            sampleRates: {
+                input: rates(sampleRates.input),
+                output: rates(sampleRates.output)
+            },
+            features: features && typeof features === 'object' && !Array.isArray(features) ? { ...features } : {}
+        };
+    }
+
     constructor() {
         // Check if we're in development or production
-        this.isDevelopment = window.location.hostname === 'localhost' || 
+        this.isDevelopment = window.location.hostname === 'localhost' ||
                             window.location.hostname === '127.0.0.1';
-        
-        // Force clear any old backend URLs from cache
+
+        // Drop dead tunnel URLs left by older builds
         this.clearOldBackendUrls();
-        
-        // Default URLs
-        if (this.isDevelopment) {
-            this.apiUrl = 'http://localhost:8000';
-            this.wsUrl = 'ws://localhost:8000';
-            this.isConfigured = true;
+
+        this.profile = null;
+        this.apiUrl = null;
+        this.wsUrl = null;
+        this.isOverridden = false;
+        this.isConfigured = false;
+        this.health = null;          // last checkHealth() result for apiUrl
+        this.capabilities = null;    // parsed /config of apiUrl, null until it has answered
+        this.configPayload = null;   // raw /config body (RuntimeConfig reads client_config from it)
+        this.pendingOverride = null; // untrusted ?backend= URL waiting for the operator's confirmation
+
+        const override = this.getQueryOverride();
+        if (override) {
+            this.isOverridden = true;
+            this.applyProfile(override.profile, override.customUrl);
+            console.log(`Backend overridden by URL parameter: ${this.profile}`);
         } else {
-            // In production, always use the Cloudflare tunnel URL
-            this.apiUrl = 'https://voiceagent.rebortai.com';
-            this.wsUrl = 'wss://voiceagent.rebortai.com';
-            this.isConfigured = true; // Auto-configured with production URL
-            
-            console.log('Production mode: Using Cloudflare tunnel URL');
-        }
-        
+            this.applyProfile(this.getStoredProfile(), localStorage.getItem(Config.STORAGE_KEYS.customUrl));
+        }
+
         console.log('Config initialized:', {
             isDevelopment: this.isDevelopment,
+            profile: this.profile,
             apiUrl: this.apiUrl,
             wsUrl: this.wsUrl,
             isConfigured: this.isConfigured
         });
     }
-    
+
+    getDefaultProfile() {
+        return this.isDevelopment ? 'local' : 'production';
+    }
+
+    getStoredProfile() {
+        const stored = localStorage.getItem(Config.STORAGE_KEYS.profile);
+        return stored && Config.PROFILES[stored] ? stored : this.getDefaultProfile();
+    }
+
+    /**
+     * ?backend=<url> selects a custom backend, ?env=<profile> a named one (not persisted).
+     * An untrusted ?backend= host is parked in pendingOverride instead of being applied.
+     */
+    getQueryOverride() {
+        const params = new URLSearchParams(window.location.search);
+        const backend = Config.normalizeUrl(params.get('backend'));
+        if (backend && Config.isTrustedUrl(backend)) {
+            return { profile: 'custom', customUrl: backend };
+        }
+        if (backend) {
+            this.pendingOverride = backend;
+            console.warn(`Backend override to untrusted host ${new URL(backend).host} needs confirmation`);
+            return null;
+        }
+        const env = params.get('env');
+        if (env && Config.PROFILES[env] && env !== 'custom') {
+            return { profile: env, customUrl: null };
+        }
+        if (env) {
+            console.warn(`Ignoring unknown env override: ${env}`);
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a profile to its API URL (null when a custom profile has no usable URL)
+     */
+    resolveApiUrl(profile, customUrl = null) {
+        if (profile === 'custom') {
+            return Config.normalizeUrl(customUrl);
+        }
+        const entry = Config.PROFILES[profile];
+        return entry ? entry.apiUrl : null;
+    }
+
+    applyProfile(profile, customUrl = null) {
+        let apiUrl = this.resolveApiUrl(profile, customUrl);
+        if (!apiUrl) {
+            console.warn(`Backend profile "${profile}" has no usable URL, using ${this.getDefaultProfile()}`);
+            profile = this.getDefaultProfile();
+            apiUrl = this.resolveApiUrl(profile);
+        }
+
+        this.profile = profile;
+        this.apiUrl = apiUrl;
+        this.wsUrl = Config.toWsUrl(apiUrl);
+        this.isConfigured = true;
+    }
+
     clearOldBackendUrls() {
         // Clear any old tunnel URLs and cached data
         const keysToCheck = ['backend_url', 'api_url', 'websocket_url', 'config_cache'];
         keysToCheck.forEach(key => {
             const value = localStorage.getItem(key);
-            if (value && (value.includes('serveo.net') || 
-                         value.includes('ngrok') || 
+            if (value && (value.includes('serveo.net') ||
+                         value.includes('ngrok') ||
                          value.includes('tunnel') ||
                          value.includes('localtunnel'))) {
                 localStorage.removeItem(key);
                 console.log('Cleared old backend URL from localStorage:', key, value);
             }
         });
-        
-        // Force clear all potentially cached URLs
-        localStorage.removeItem('backend_url');
-        localStorage.removeItem('api_url');
-        localStorage.removeItem('websocket_url');
-        console.log('Cleared all cached backend URLs');
-    }
-    
-    async verifyConnection() {
+    }
+
+    /**
+     * GET /config once, aborting after timeoutMs
+     */
+    async fetchConfig(apiUrl, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
         try {
-            const response = await fetch(`${this.apiUrl}/config`, {
+            return await fetch(`${apiUrl}/config`, {
                 method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'ngrok-skip-browser-warning': 'true'
-                },
-                timeout: 10000
+                headers: { 'ngrok-skip-browser-warning': 'true' },
+                signal: controller.signal
             });
-            
-            if (response.ok) {
-                console.log('✅ Backend connection verified');
-                this.isConfigured = true;
-                
-                // Cache the working URL
-                localStorage.setItem('backend_url', this.apiUrl);
-                
-                return true;
-            } else {
-                console.error('❌ Backend responded with error:', response.status);
-                return false;
-            }
-        } catch (error) {
-            console.error('❌ Failed to connect to backend:', error);
-            return false;
+        } finally {
+            clearTimeout(timer);
         }
     }
-    
-    async promptForUrl() {
-        if (this.isDevelopment) {
-            return; // Don't prompt in development
-        }
-        
-        const userUrl = prompt(
-            'Backend connection failed. Please enter the backend URL (e.g., https://your-tunnel.serveo.net):',
-            this.apiUrl
-        );
-        
-        if (userUrl && userUrl.trim()) {
-            this.apiUrl = userUrl.trim();
-            this.wsUrl = this.apiUrl.replace('http', 'ws');
-            
-            // Test the new URL
-            const isWorking = await this.verifyConnection();
-            if (isWorking) {
-                console.log('✅ New backend URL is working');
-                return true;
-            } else {
-                console.log('❌ New backend URL is not working');
-                return false;
+
+    /**
+     * Check that a backend answers GET /config with JSON, retrying timeouts, network errors
+     * and 5xx responses. Resolves { ok, status, attempts, latencyMs, payload, capabilities, error }.
+     */
+    async checkHealth(apiUrl = this.apiUrl, options = {}) {
+        const settings = { ...Config.HEALTH_CHECK, ...options };
+        let delay = settings.retryDelayMs;
+        let result = null;
+
+        for (let attempt = 1; attempt <= settings.retries + 1; attempt++) {
+            const startedAt = Date.now();
+            result = { ok: false, status: null, attempts: attempt, latencyMs: null, payload: null, capabilities: null, error: null };
+            let retryable = true;
+
+            try {
+                const response = await this.fetchConfig(apiUrl, settings.timeoutMs);
+                result.status = response.status;
+                result.latencyMs = Date.now() - startedAt;
+
+                if (response.ok) {
+                    result.payload = await response.json();
+                    result.capabilities = Config.parseCapabilities(result.payload);
+                    result.ok = true;
+                    console.log(`✅ Backend healthy: ${apiUrl} (${result.latencyMs}ms)`, result.capabilities);
+                    return result;
+                }
+                result.error = `HTTP ${response.status}`;
+                retryable = response.status >= 500;
+            } catch (error) {
+                result.error = error.name === 'AbortError'
+                    ? `No response within ${settings.timeoutMs / 1000}s`
+                    : error instanceof SyntaxError ? 'Invalid /config response' : error.message;
+                retryable = !(error instanceof SyntaxError);
             }
+
+            console.warn(`⚠️ Health check ${attempt}/${settings.retries + 1} for ${apiUrl} failed: ${result.error}`);
+            if (!retryable || attempt > settings.retries) break;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay *= 2;
+        }
+
+        console.error('❌ Backend health check failed:', apiUrl, result.error);
+        return result;
+    }
+
+    async verifyConnection(apiUrl = this.apiUrl) {
+        return (await this.checkHealth(apiUrl)).ok;
+    }
+
+    /**
+     * Health-check the current backend and keep its capabilities. On failure the previous
+     * capabilities are dropped, since they may belong to a backend that has since changed.
+     */
+    async discoverCapabilities(options = {}) {
+        const apiUrl = this.apiUrl;
+        const health = await this.checkHealth(apiUrl, options);
+        if (apiUrl === this.apiUrl) {
+            this.storeHealth(health);
         }
-        
-        return false;
+        return health;
+    }
+
+    storeHealth(health) {
+        this.health = health;
+        this.capabilities = health.ok ? health.capabilities : null;
+        this.configPayload = health.ok ? health.payload : null;
+    }
+
+    /**
+     * Whether the backend reported an uplink format; unknown when it didn't list any
+     */
+    supportsAudioFormat(format) {
+        const formats = this.capabilities && this.capabilities.audioFormats;
+        return formats === null || formats === undefined ? null : formats.includes(format);
     }
-    
+
+    /**
+     * Feature flag from /config; features the backend doesn't mention count as available
+     */
+    hasFeature(name) {
+        if (!this.capabilities || this.capabilities.features[name] === undefined) return true;
+        return this.capabilities.features[name] !== false;
+    }
+
+    /**
+     * Verify a profile's backend and, only if it answers, switch to it and remember the choice.
+     * Returns { ok, apiUrl, error }.
+     */
+    async switchProfile(profile, customUrl = null) {
+        if (!Config.PROFILES[profile]) {
+            return { ok: false, apiUrl: null, error: `Unknown environment: ${profile}` };
+        }
+
+        const apiUrl = this.resolveApiUrl(profile, customUrl);
+        if (!apiUrl) {
+            return { ok: false, apiUrl: null, error: 'Enter a valid backend URL' };
+        }
+
+        const health = await this.checkHealth(apiUrl);
+        if (!health.ok) {
+            return { ok: false, apiUrl: apiUrl, error: `Backend at ${apiUrl} is not reachable (${health.error})` };
+        }
+
+        this.applyProfile(profile, apiUrl);
+        this.storeHealth(health);
+        this.isOverridden = false;
+        localStorage.setItem(Config.STORAGE_KEYS.profile, profile);
+        if (profile === 'custom') {
+            localStorage.setItem(Config.STORAGE_KEYS.customUrl, apiUrl);
+        }
+
+        console.log(`✅ Switched backend to ${profile}: ${apiUrl}`);
+        return { ok: true, apiUrl: apiUrl, error: null };
+    }
+
+    /**
+     * The operator confirmed the ?backend= host: verify it, then use it for this page load only.
+     * Returns { ok, apiUrl, error } like switchProfile.
+     */
+    async confirmPendingOverride() {
+        const apiUrl = this.pendingOverride;
+        if (!apiUrl) {
+            return { ok: false, apiUrl: null, error: 'No backend override to confirm' };
+        }
+
+        const health = await this.checkHealth(apiUrl);
+        if (!health.ok) {
+            return { ok: false, apiUrl: apiUrl, error: `Backend at ${apiUrl} is not reachable (${health.error})` };
+        }
+
+        this.applyProfile('custom', apiUrl);
+        this.storeHealth(health);
+        this.isOverridden = true;
+        this.pendingOverride = null;
+        console.log(`Backend overridden by confirmed URL parameter: ${apiUrl}`);
+        return { ok: true, apiUrl: apiUrl, error: null };
+    }
+
+    dismissPendingOverride() {
+        this.pendingOverride = null;
+    }
+
     getApiUrl() {
         return this.apiUrl;
     }
-    
+
     getWsUrl() {
         return this.wsUrl;
     }
 }
 
-// Create global config instance
-window.appConfig = new Config();
-
-// Initialize global config
+// Create the global config instance (appConfig kept as an alias for older callers)
 window.config = new Config();
+window.appConfig = window.config;
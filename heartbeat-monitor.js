@@ -0,0 +1,140 @@
+/**
+ * Heartbeat Monitor
+ * Client-side liveness detection for the call WebSocket. Any inbound message counts
+ * as proof of life; when the server goes quiet the client sends its own pings, and
+ * after enough missed intervals the connection is reported degraded and then dead
+ * so a half-open socket doesn't look "Connected" forever.
+ */
+
+class HeartbeatMonitor {
+    constructor(options = {}) {
+        this.options = {
+            expectedIntervalMs: options.expectedIntervalMs || 15000, // server heartbeat cadence
+            pingAfterMs: options.pingAfterMs || 10000,               // quiet time before we ping ourselves
+            degradedAfterMisses: options.degradedAfterMisses || 1,
+            deadAfterMisses: options.deadAfterMisses || 3,
+            checkIntervalMs: options.checkIntervalMs || 1000,
+            ...options
+        };
+
+        this.state = 'stopped';
+        this.lastActivity = 0;
+        this.lastHeartbeat = 0;
+        this.lastPingSent = 0;
+        this.timer = null;
+
+        // Callbacks
+        this.callbacks = {
+            onPing: null,        // () - send a ping to the server
+            onStateChange: null, // (state, missedIntervals) - 'healthy' | 'degraded' | 'dead'
+            onDead: null         // (quietMs) - hand off to reconnection
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Update thresholds at runtime
+     */
+    updateConfig(config) {
+        this.options = { ...this.options, ...config };
+    }
+
+    start() {
+        this.stop();
+        const now = Date.now();
+        this.lastActivity = now;
+        this.lastHeartbeat = now;
+        this.lastPingSent = 0;
+        this.state = 'healthy';
+        this.timer = setInterval(() => this.check(), this.options.checkIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.state = 'stopped';
+    }
+
+    /**
+     * Any inbound frame proves the connection is alive
+     */
+    recordActivity() {
+        this.lastActivity = Date.now();
+        if (this.state === 'degraded') {
+            this.setState('healthy', 0);
+        }
+    }
+
+    /**
+     * Explicit server heartbeat (also counts as activity)
+     */
+    recordHeartbeat() {
+        this.lastHeartbeat = Date.now();
+        this.recordActivity();
+    }
+
+    /**
+     * Milliseconds since the server last sent anything
+     */
+    get quietMs() {
+        return this.lastActivity ? Date.now() - this.lastActivity : 0;
+    }
+
+    check() {
+        if (this.state === 'stopped' || this.state === 'dead') {
+            return;
+        }
+
+        const now = Date.now();
+        const quiet = now - this.lastActivity;
+
+        // Server is quiet - probe it ourselves so proxies keep the tunnel open and we get a pong back
+        if (quiet >= this.options.pingAfterMs && now - this.lastPingSent >= this.options.pingAfterMs) {
+            this.lastPingSent = now;
+            if (this.callbacks.onPing) {
+                this.callbacks.onPing();
+            }
+        }
+
+        const missed = Math.floor(quiet / this.options.expectedIntervalMs);
+
+        if (missed >= this.options.deadAfterMisses) {
+            this.setState('dead', missed);
+            clearInterval(this.timer);
+            this.timer = null;
+            console.error(`💀 No data from server for ${quiet}ms (${missed} missed heartbeats) - connection considered dead`);
+            if (this.callbacks.onDead) {
+                this.callbacks.onDead(quiet);
+            }
+        } else if (missed >= this.options.degradedAfterMisses) {
+            this.setState('degraded', missed);
+        } else {
+            this.setState('healthy', missed);
+        }
+    }
+
+    setState(state, missed) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        console.log(`💓 Connection liveness: ${previous} → ${state} (missed: ${missed})`);
+        if (this.callbacks.onStateChange) {
+            this.callbacks.onStateChange(state, missed);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeartbeatMonitor;
+} else {
+    window.HeartbeatMonitor = HeartbeatMonitor;
+}
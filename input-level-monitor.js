@@ -0,0 +1,188 @@
+/**
+ * Input Level Monitor
+ * Turns the capture worklet's 'inputLevel' reports (RMS, peak and saturated-sample count per
+ * ~64 ms window) into a meter reading with peak hold, a clipping flag, and a dead-microphone
+ * alert when nothing above the silence floor has arrived for a while - a hardware-muted headset
+ * sends digital silence, which the call would otherwise only notice when the AI gives up.
+ */
+
+class InputLevelMonitor {
+    static get METER_FLOOR_DB() {
+        return -60;   // bottom of the meter scale
+    }
+
+    static toDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            deadMicSeconds: options.deadMicSeconds || 8,      // silence this long raises the alert
+            silenceFloorDb: options.silenceFloorDb || -85,    // RMS below this counts as no audio
+            clipHoldMs: options.clipHoldMs || 2000,           // clipping flag stays up this long after the last clip
+            peakHoldMs: options.peakHoldMs || 1500,
+            peakDecayDbPerSec: options.peakDecayDbPerSec || 20,
+            checkIntervalMs: options.checkIntervalMs || 1000,
+            ...options
+        };
+
+        this.timer = null;
+        this.suspended = false;   // e.g. while the operator is muted - silence is expected
+        this.reset();
+
+        // Callbacks
+        this.callbacks = {
+            onLevel: null,            // ({ rmsDb, peakDb, holdDb, clipping }) after every report
+            onClippingChange: null,   // (clipping, clippedSamples) samples saturated / stopped saturating
+            onDeadMic: null,          // (silentMs) no audio above the floor for deadMicSeconds
+            onSignalRestored: null    // () audio came back after a dead-mic alert
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Update thresholds at runtime
+     */
+    updateConfig(config) {
+        this.options = { ...this.options, ...config };
+    }
+
+    reset() {
+        this.lastSignalAt = Date.now();
+        this.deadMicReported = false;
+        this.clipping = false;
+        this.clippedUntil = 0;
+        this.clippedSamples = 0;   // total for this run, for logs
+        this.holdDb = -Infinity;
+        this.holdSetAt = 0;
+        this.lastReportAt = 0;
+    }
+
+    /**
+     * Begin watching a (new) input; also used after switching microphones
+     */
+    start() {
+        this.stop();
+        this.reset();
+        this.timer = setInterval(() => this.check(), this.options.checkIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.clipping && this.callbacks.onClippingChange) {
+            this.callbacks.onClippingChange(false, this.clippedSamples);
+        }
+        if (this.deadMicReported && this.callbacks.onSignalRestored) {
+            this.callbacks.onSignalRestored();
+        }
+        this.reset();
+    }
+
+    get isRunning() {
+        return this.timer !== null;
+    }
+
+    setSuspended(suspended) {
+        this.suspended = suspended;
+        // The silence clock starts over either way, so unmuting doesn't raise a stale alert
+        this.lastSignalAt = Date.now();
+        if (suspended && this.deadMicReported) {
+            this.deadMicReported = false;
+            if (this.callbacks.onSignalRestored) {
+                this.callbacks.onSignalRestored();
+            }
+        }
+    }
+
+    /**
+     * One worklet report: { rms, peak, clipped, timestamp }
+     */
+    update(report) {
+        const now = Date.now();
+        const rmsDb = InputLevelMonitor.toDb(report.rms);
+        const peakDb = InputLevelMonitor.toDb(report.peak);
+
+        // Peak hold: a new high sticks for peakHoldMs, then falls back at peakDecayDbPerSec
+        if (peakDb >= this.holdDb) {
+            this.holdDb = peakDb;
+            this.holdSetAt = now;
+        } else if (now - this.holdSetAt > this.options.peakHoldMs) {
+            const elapsed = (now - Math.max(this.lastReportAt, this.holdSetAt + this.options.peakHoldMs)) / 1000;
+            this.holdDb = Math.max(peakDb, this.holdDb - this.options.peakDecayDbPerSec * elapsed);
+        }
+        this.lastReportAt = now;
+
+        if (report.clipped > 0) {
+            this.clippedSamples += report.clipped;
+            this.clippedUntil = now + this.options.clipHoldMs;
+            if (!this.clipping) {
+                this.clipping = true;
+                console.warn(`📢 Microphone input is clipping (${report.clipped} saturated samples)`);
+                if (this.callbacks.onClippingChange) {
+                    this.callbacks.onClippingChange(true, this.clippedSamples);
+                }
+            }
+        } else if (this.clipping && now > this.clippedUntil) {
+            this.clipping = false;
+            if (this.callbacks.onClippingChange) {
+                this.callbacks.onClippingChange(false, this.clippedSamples);
+            }
+        }
+
+        if (rmsDb > this.options.silenceFloorDb) {
+            this.lastSignalAt = now;
+            if (this.deadMicReported) {
+                this.deadMicReported = false;
+                console.log('🎤 Microphone audio detected again');
+                if (this.callbacks.onSignalRestored) {
+                    this.callbacks.onSignalRestored();
+                }
+            }
+        }
+
+        if (this.callbacks.onLevel) {
+            this.callbacks.onLevel({ rmsDb, peakDb, holdDb: this.holdDb, clipping: this.clipping });
+        }
+    }
+
+    /**
+     * Timer-driven, so a worklet that stops reporting altogether also counts as silence
+     */
+    check() {
+        if (this.suspended || this.deadMicReported) return;
+
+        const silentMs = Date.now() - this.lastSignalAt;
+        if (silentMs >= this.options.deadMicSeconds * 1000) {
+            this.deadMicReported = true;
+            console.warn(`🔕 No audio from the microphone for ${Math.round(silentMs / 1000)}s`);
+            if (this.callbacks.onDeadMic) {
+                this.callbacks.onDeadMic(silentMs);
+            }
+        }
+    }
+
+    /**
+     * Position on the meter scale, 0..1
+     */
+    static meterFraction(db) {
+        const floor = InputLevelMonitor.METER_FLOOR_DB;
+        if (!Number.isFinite(db) || db <= floor) return 0;
+        return Math.min(1, (db - floor) / -floor);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputLevelMonitor;
+} else {
+    window.InputLevelMonitor = InputLevelMonitor;
+}
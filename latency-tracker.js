@@ -0,0 +1,172 @@
+/**
+ * Turn Latency Tracker
+ * Captures client-side timing for each conversational turn so slowness can be
+ * attributed to STT, LLM or TTS instead of argued about:
+ *
+ *   speechEnd ──stt──▶ transcription ──llm──▶ firstPartial ──tts──▶ firstChunk ──playback──▶ audioStart
+ *
+ * All marks use performance.now(). Completed turns are aggregated into p50/p95 per segment.
+ */
+
+class TurnLatencyTracker {
+    static get MARKS() {
+        return ['speechEnd', 'transcription', 'firstPartial', 'firstChunk', 'audioStart'];
+    }
+
+    static get SEGMENTS() {
+        return {
+            stt: ['speechEnd', 'transcription'],
+            llm: ['transcription', 'firstPartial'],
+            tts: ['firstPartial', 'firstChunk'],
+            playback: ['firstChunk', 'audioStart'],
+            total: ['speechEnd', 'audioStart']
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            maxTurns: options.maxTurns || 200,
+            ...options
+        };
+
+        this.currentTurn = null;
+        this.turns = [];
+        this.turnCounter = 0;
+
+        // Callbacks
+        this.callbacks = {
+            onTurnComplete: null // (turn, summary)
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Start fresh for a new call
+     */
+    reset() {
+        this.currentTurn = null;
+        this.turns = [];
+        this.turnCounter = 0;
+    }
+
+    newTurn() {
+        this.turnCounter++;
+        this.currentTurn = { id: this.turnCounter, marks: {} };
+        return this.currentTurn;
+    }
+
+    /**
+     * The user stopped talking - this opens a new turn. If the previous speech end
+     * hasn't produced a transcription yet the user just paused, so move the mark forward.
+     */
+    markSpeechEnd(at = performance.now()) {
+        if (!this.currentTurn || this.currentTurn.marks.transcription !== undefined) {
+            this.newTurn();
+        }
+        this.currentTurn.marks.speechEnd = at;
+    }
+
+    /**
+     * Record the first occurrence of a mark within the current turn
+     */
+    mark(name, at = performance.now()) {
+        if (name === 'speechEnd') {
+            this.markSpeechEnd(at);
+            return;
+        }
+
+        // Server-side VAD only: the turn begins when the transcription arrives
+        if (!this.currentTurn) {
+            if (name !== 'transcription') return;
+            this.newTurn();
+        }
+
+        const marks = this.currentTurn.marks;
+        if (marks[name] !== undefined) return;
+        marks[name] = at;
+
+        if (name === 'audioStart') {
+            this.completeTurn();
+        }
+    }
+
+    /**
+     * Durations (ms) between marks for a turn; missing marks leave the segment null.
+     * TTS falls back to measuring from the transcription when no partial text streamed.
+     */
+    static segmentsFor(marks) {
+        const segments = {};
+        for (const [name, [from, to]] of Object.entries(TurnLatencyTracker.SEGMENTS)) {
+            let start = marks[from];
+            if (name === 'tts' && start === undefined) {
+                start = marks.transcription;
+            }
+            segments[name] = start !== undefined && marks[to] !== undefined
+                ? Math.max(0, Math.round(marks[to] - start))
+                : null;
+        }
+        return segments;
+    }
+
+    completeTurn() {
+        const turn = this.currentTurn;
+        this.currentTurn = null;
+
+        turn.segments = TurnLatencyTracker.segmentsFor(turn.marks);
+        this.turns.push(turn);
+        if (this.turns.length > this.options.maxTurns) {
+            this.turns.shift();
+        }
+
+        console.log(`⏱️ Turn ${turn.id} latency (ms):`, turn.segments);
+
+        if (this.callbacks.onTurnComplete) {
+            this.callbacks.onTurnComplete(turn, this.getSummary());
+        }
+    }
+
+    /**
+     * Nearest-rank percentile of a numeric array
+     */
+    static percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+    }
+
+    /**
+     * p50/p95 per segment across all completed turns of the call
+     */
+    getSummary() {
+        const summary = { turns: this.turns.length };
+        for (const name of Object.keys(TurnLatencyTracker.SEGMENTS)) {
+            const values = this.turns
+                .map(turn => turn.segments[name])
+                .filter(value => value !== null);
+            summary[name] = {
+                p50: TurnLatencyTracker.percentile(values, 50),
+                p95: TurnLatencyTracker.percentile(values, 95),
+                count: values.length
+            };
+        }
+        return summary;
+    }
+
+    getLastTurn() {
+        return this.turns.length > 0 ? this.turns[this.turns.length - 1] : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TurnLatencyTracker;
+} else {
+    window.TurnLatencyTracker = TurnLatencyTracker;
+}
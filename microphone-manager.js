@@ -0,0 +1,245 @@
+/**
+ * Microphone Manager
+ * Opens the operator's chosen input device (remembered per browser), lists the available
+ * microphones and watches for devices being plugged in or removed. It only hands out
+ * MediaStreams; the app decides how to wire them into the audio graph, so a new device can
+ * be swapped in mid-call without rebuilding the worklet or touching the WebSocket.
+ */
+
+class MicrophoneManager {
+    static get STORAGE_KEY() {
+        return 'mic_device_id';
+    }
+
+    static get isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.mediaDevices && !!navigator.mediaDevices.getUserMedia;
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            storage: options.storage || window.localStorage,
+            audioConstraints: options.audioConstraints || {},   // merged into every getUserMedia call
+            ...options
+        };
+
+        this.storage = this.options.storage;
+        this.preferredDeviceId = this.storage.getItem(MicrophoneManager.STORAGE_KEY) || null;   // null = system default
+        this.devices = [];           // audioinput MediaDeviceInfo list from the last enumeration
+        this.stream = null;          // stream currently feeding the call
+        this.deviceId = null;        // device behind this.stream
+        this.isWatching = false;
+
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
+        this.handleTrackEnded = this.handleTrackEnded.bind(this);
+
+        // Callbacks
+        this.callbacks = {
+            onDevicesChanged: null,   // (devices) list changed or labels became available
+            onDeviceLost: null,       // (device) the active microphone was unplugged or stopped
+            onDeviceReturned: null,   // (device) the preferred microphone is back while another one is in use
+            onFallback: null          // (requestedDeviceId, error) preferred device couldn't be opened, default used
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Refresh the list of audio inputs. Labels are empty until microphone permission is granted.
+     */
+    async listDevices() {
+        if (!MicrophoneManager.isSupported || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'audioinput');
+        } catch (error) {
+            console.warn('⚠️ Could not list microphones:', error.message);
+        }
+        return this.devices;
+    }
+
+    getDevice(deviceId) {
+        return this.devices.find(device => device.deviceId === deviceId) || null;
+    }
+
+    getDeviceLabel(deviceId) {
+        const device = this.getDevice(deviceId);
+        if (device && device.label) return device.label;
+        return deviceId ? 'Selected microphone' : 'System default microphone';
+    }
+
+    /**
+     * Remember the operator's choice; '' or null means "system default"
+     */
+    setPreferredDevice(deviceId) {
+        this.preferredDeviceId = deviceId || null;
+        if (this.preferredDeviceId) {
+            this.storage.setItem(MicrophoneManager.STORAGE_KEY, this.preferredDeviceId);
+        } else {
+            this.storage.removeItem(MicrophoneManager.STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Constraints (echo cancellation etc.) for the next acquire(); an open stream keeps its own
+     * until it is reopened
+     */
+    setAudioConstraints(audioConstraints) {
+        this.options.audioConstraints = { ...audioConstraints };
+    }
+
+    /**
+     * Open a stream from deviceId (the preferred device by default). A device that is gone or
+     * refuses to open falls back to the system default instead of failing the call.
+     * The caller owns the returned stream until it is passed to adopt().
+     */
+    async acquire(deviceId = this.preferredDeviceId) {
+        const constraints = (id) => ({
+            audio: id ? { ...this.options.audioConstraints, deviceId: { exact: id } } : { ...this.options.audioConstraints }
+        });
+
+        try {
+            return await navigator.mediaDevices.getUserMedia(constraints(deviceId));
+        } catch (error) {
+            const deviceMissing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError' || error.name === 'NotReadableError';
+            if (!deviceId || !deviceMissing) {
+                throw error;
+            }
+
+            console.warn(`⚠️ Microphone ${deviceId} unavailable (${error.name}) - using system default`);
+            const stream = await navigator.mediaDevices.getUserMedia(constraints(null));
+            if (this.callbacks.onFallback) {
+                this.callbacks.onFallback(deviceId, error);
+            }
+            return stream;
+        }
+    }
+
+    /**
+     * Make stream the active one, stopping whatever it replaces
+     */
+    adopt(stream) {
+        const previous = this.stream;
+        const track = stream.getAudioTracks()[0];
+
+        this.stream = stream;
+        this.deviceId = track && track.getSettings ? track.getSettings().deviceId || null : null;
+        if (track) {
+            track.addEventListener('ended', this.handleTrackEnded);
+        }
+
+        if (previous && previous !== stream) {
+            this.stopStream(previous);
+        }
+
+        console.log(`🎙️ Microphone in use: ${this.getDeviceLabel(this.deviceId)}`);
+        // Labels only appear once permission has been granted, so refresh after every open
+        this.listDevices().then((devices) => {
+            if (this.callbacks.onDevicesChanged) {
+                this.callbacks.onDevicesChanged(devices);
+            }
+        });
+    }
+
+    /**
+     * Open the preferred device and make it the active stream
+     */
+    async open(deviceId = this.preferredDeviceId) {
+        const stream = await this.acquire(deviceId);
+        this.adopt(stream);
+        return stream;
+    }
+
+    stopStream(stream) {
+        stream.getTracks().forEach(track => {
+            track.removeEventListener('ended', this.handleTrackEnded);
+            if (track.readyState === 'live') {
+                track.stop();
+            }
+        });
+    }
+
+    /**
+     * Stop the active stream (end of call)
+     */
+    release() {
+        if (this.stream) {
+            this.stopStream(this.stream);
+        }
+        this.stream = null;
+        this.deviceId = null;
+    }
+
+    startWatching() {
+        if (this.isWatching || !MicrophoneManager.isSupported) return;
+        navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        this.isWatching = true;
+        this.listDevices().then((devices) => {
+            if (this.callbacks.onDevicesChanged) {
+                this.callbacks.onDevicesChanged(devices);
+            }
+        });
+    }
+
+    stopWatching() {
+        if (!this.isWatching) return;
+        navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        this.isWatching = false;
+    }
+
+    async handleDeviceChange() {
+        const lostDevice = this.stream ? this.getDevice(this.deviceId) : null;
+        const devices = await this.listDevices();
+        console.log(`🎙️ Audio devices changed: ${devices.length} microphone(s)`);
+        if (this.callbacks.onDevicesChanged) {
+            this.callbacks.onDevicesChanged(devices);
+        }
+        if (!this.stream) return;
+
+        const activeStillPresent = !this.deviceId || devices.some(device => device.deviceId === this.deviceId);
+        if (!activeStillPresent) {
+            this.reportLost(lostDevice || { deviceId: this.deviceId, label: '' });
+            return;
+        }
+
+        // The operator's preferred headset came back while we were running on a fallback device
+        const preferred = this.preferredDeviceId && this.deviceId !== this.preferredDeviceId
+            ? this.getDevice(this.preferredDeviceId)
+            : null;
+        if (preferred && this.callbacks.onDeviceReturned) {
+            this.callbacks.onDeviceReturned(preferred);
+        }
+    }
+
+    handleTrackEnded() {
+        // Chrome ends the track when a device is unplugged, usually just before devicechange fires
+        if (!this.stream || this.stream.getAudioTracks().some(track => track.readyState === 'live')) return;
+        this.reportLost(this.getDevice(this.deviceId) || { deviceId: this.deviceId, label: '' });
+    }
+
+    reportLost(device) {
+        const lostStream = this.stream;
+        this.stream = null;   // report each loss once, whichever event notices it first
+        this.deviceId = null;
+        if (lostStream) {
+            this.stopStream(lostStream);
+        }
+        console.warn(`⚠️ Microphone lost: ${device.label || device.deviceId || 'default'}`);
+        if (this.callbacks.onDeviceLost) {
+            this.callbacks.onDeviceLost(device);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MicrophoneManager;
+} else {
+    window.MicrophoneManager = MicrophoneManager;
+}
@@ -0,0 +1,99 @@
+/**
+ * Scripted conversation for the mock backend
+ * A fixed sequence of caller/agent turns plus helpers that synthesise tone audio
+ * standing in for TTS, so the UI, playback and checklist panels can be exercised offline.
+ */
+
+const TTS_SAMPLE_RATE = 22050;
+
+const CUSTOMERS = [
+    { index: 2, name: 'Dana Freight LLC' },
+    { index: 3, name: 'Blue Ridge Haulers' },
+    { index: 5, name: 'Prairie Line Trucking' }
+];
+
+// Each turn: what the "customer" says (delivered as a transcription), the agent's reply,
+// and the checklist state once the turn is done
+const TURNS = [
+    {
+        caller: null,
+        agent: 'Hi, this is Mark from the dispatch team. Do you have a minute to talk about keeping your trucks loaded?',
+        checklist: { name_collected: false, email_collected: false },
+        leadInterested: false
+    },
+    {
+        caller: 'Sure, who is this again?',
+        agent: 'I am Mark, an AI dispatcher. May I get your name so I can note it down?',
+        checklist: { name_collected: false, email_collected: false },
+        leadInterested: false
+    },
+    {
+        caller: 'It is Sam Carter.',
+        agent: 'Thanks Sam. What is the best email to send you our rate sheet?',
+        checklist: { name_collected: true, email_collected: false },
+        leadInterested: false
+    },
+    {
+        caller: 'sam at carter freight dot com',
+        agent: 'Perfect. Would you be interested in a quick call with our team this week?',
+        checklist: { name_collected: true, email_collected: true },
+        leadInterested: false
+    },
+    {
+        caller: 'Yeah, that sounds good.',
+        agent: 'Great, I will set that up. Thanks for your time Sam, have a good day!',
+        checklist: { name_collected: true, email_collected: true },
+        leadInterested: true
+    }
+];
+
+/**
+ * Generate mono PCM16 little-endian samples of a soft tone with short fades
+ * so chunk boundaries don't click
+ */
+function generateTone(durationMs, frequency = 440, sampleRate = TTS_SAMPLE_RATE, amplitude = 0.2) {
+    const numSamples = Math.round((durationMs / 1000) * sampleRate);
+    const fadeSamples = Math.min(Math.round(sampleRate * 0.01), Math.floor(numSamples / 2));
+    const buffer = Buffer.alloc(numSamples * 2);
+
+    for (let i = 0; i < numSamples; i++) {
+        let gain = amplitude;
+        if (i < fadeSamples) gain *= i / fadeSamples;
+        if (i > numSamples - fadeSamples) gain *= (numSamples - i) / fadeSamples;
+
+        const sample = Math.sin((2 * Math.PI * frequency * i) / sampleRate) * gain;
+        buffer.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+
+    return buffer;
+}
+
+/**
+ * Split an agent reply into streamed text pieces and matching base64 audio chunks.
+ * Audio length roughly follows the text length (~60ms per character, 200ms chunks).
+ */
+function buildAgentReply(text, chunkMs = 200) {
+    const words = text.split(' ');
+    const textChunks = [];
+    for (let i = 0; i < words.length; i += 3) {
+        textChunks.push((i === 0 ? '' : ' ') + words.slice(i, i + 3).join(' '));
+    }
+
+    const totalMs = Math.max(600, text.length * 60);
+    const audioChunks = [];
+    for (let elapsed = 0, n = 0; elapsed < totalMs; elapsed += chunkMs, n++) {
+        // Alternate pitch a little so consecutive chunks are audibly distinct
+        const frequency = n % 2 === 0 ? 440 : 494;
+        audioChunks.push(generateTone(Math.min(chunkMs, totalMs - elapsed), frequency).toString('base64'));
+    }
+
+    return { textChunks, audioChunks, durationMs: totalMs };
+}
+
+module.exports = {
+    TTS_SAMPLE_RATE,
+    CUSTOMERS,
+    TURNS,
+    generateTone,
+    buildAgentReply
+};
@@ -0,0 +1,697 @@
+#!/usr/bin/env node
+/**
+ * MARK Mock Backend
+ * Self-contained stand-in for the real backend so the frontend can be developed and demoed
+ * offline. Implements the HTTP routes (/login, /refresh, /config, /call-summary), serves the static
+ * frontend, and scripts the /ws/{session} conversation with tone audio in place of TTS.
+ *
+ * Usage: npm run mock            (PORT=8000 by default, matching the development Config)
+ *        PORT=9000 npm run mock
+ *        TOKEN_TTL_SECONDS=90 npm run mock   (short-lived tokens to exercise refresh)
+ *
+ * Usernames starting with "supervisor" log in with the supervisor role and can monitor
+ * other sessions read-only (GET /supervisor/sessions, monitor_subscribe).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const AudioFrameCodec = require('../audio-frame-codec.js');
+const ProtocolRouter = require('../protocol.js');
+const scenario = require('./scenario');
+
+const PORT = Number(process.env.PORT) || 8000;
+const STATIC_ROOT = path.join(__dirname, '..');
+const HEARTBEAT_INTERVAL_MS = 15000;
+const CALLER_THINK_MS = 2500;   // pause between the agent finishing and the scripted caller replying
+const TOKEN_TTL_SECONDS = Number(process.env.TOKEN_TTL_SECONDS) || 3600;   // lower it to exercise token refresh
+const WS_AUTH_TIMEOUT_MS = 5000;   // the first WebSocket message must be `auth` within this window
+const WS_AUTH_REJECTED = 4401;     // close code for a missing, invalid or expired token
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Messages a monitoring supervisor receives from the session they watch; audio only with listen-in
+const MONITORED_TYPES = new Set([
+    'transcription', 'partial_transcription', 'ai_partial_response', 'ai_response_end',
+    'session_update', 'calling_index_assigned', 'call_ended', 'stop_audio'
+]);
+
+// sessionId -> { username, role, refreshToken, customerCursor, customersCompleted, connection, callStartedAt }
+const sessions = new Map();
+
+function log(...args) {
+    console.log(`[mock ${new Date().toISOString().slice(11, 23)}]`, ...args);
+}
+
+/**
+ * Unsigned JWT-shaped token so the frontend can decode its expiry like a real one
+ */
+function makeToken(username, sessionId, role) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    return [
+        encode({ alg: 'none', typ: 'JWT' }),
+        encode({ sub: username, sid: sessionId, role: role, iat: now, exp: now + TOKEN_TTL_SECONDS }),
+        'mock'
+    ].join('.');
+}
+
+/**
+ * Session id from a valid, unexpired token (null otherwise)
+ */
+function verifyToken(token) {
+    try {
+        const claims = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString());
+        if (claims.exp * 1000 <= Date.now() || !sessions.has(claims.sid)) return null;
+        return claims.sid;
+    } catch (error) {
+        return null;
+    }
+}
+
+function authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return match ? verifyToken(match[1]) : null;
+}
+
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, ngrok-skip-browser-warning');
+}
+
+function sendJson(res, status, body) {
+    setCorsHeaders(res);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleLogin(req, res) {
+    const { username, password } = await readJsonBody(req);
+
+    if (!username || !password) {
+        return sendJson(res, 401, { detail: 'Username and password are required' });
+    }
+
+    const sessionId = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(24).toString('hex');
+    const role = username.toLowerCase().startsWith('supervisor') ? 'supervisor' : 'agent';
+    sessions.set(sessionId, {
+        username: username,
+        role: role,
+        refreshToken: refreshToken,
+        customerCursor: 0,
+        customersCompleted: 0,
+        connection: null
+    });
+
+    log(`🔐 Login: ${username} (${role}) → session ${sessionId}`);
+    sendJson(res, 200, {
+        access_token: makeToken(username, sessionId, role),
+        refresh_token: refreshToken,
+        role: role,
+        token_type: 'bearer',
+        expires_in: TOKEN_TTL_SECONDS,
+        session_id: sessionId
+    });
+}
+
+async function handleRefresh(req, res) {
+    const { refresh_token: refreshToken } = await readJsonBody(req);
+    const entry = [...sessions.entries()].find(([, session]) => refreshToken && session.refreshToken === refreshToken);
+
+    if (!entry) {
+        return sendJson(res, 401, { detail: 'Invalid refresh token' });
+    }
+
+    const [sessionId, session] = entry;
+    session.refreshToken = crypto.randomBytes(24).toString('hex');
+    log(`🔑 Refreshed token for ${session.username}`);
+    sendJson(res, 200, {
+        access_token: makeToken(session.username, sessionId, session.role),
+        refresh_token: session.refreshToken,
+        token_type: 'bearer',
+        expires_in: TOKEN_TTL_SECONDS
+    });
+}
+
+function handleConfig(req, res) {
+    sendJson(res, 200, {
+        status: 'ok',
+        backend: 'mock',
+        backend_version: '0.0.0-mock',
+        protocol_version: ProtocolRouter.VERSION,
+        audio_formats: ['pcm16', 'opus', 'ogg_opus'],
+        stt_providers: ['mock'],
+        tts_providers: ['mock'],
+        sample_rates: { input: [16000], output: [scenario.TTS_SAMPLE_RATE] },
+        features: { voice_calls: true, supervisor_monitor: true }
+    });
+}
+
+async function handleCallSummary(req, res) {
+    if (!authenticate(req)) {
+        return sendJson(res, 401, { detail: 'Not authenticated' });
+    }
+
+    const body = await readJsonBody(req);
+    const session = sessions.get(body.session_id);
+    if (!session) {
+        return sendJson(res, 404, { detail: 'Session not found' });
+    }
+
+    log(`📝 Call summary for customer #${body.customer_index}: ${body.agent_feedback}`);
+    session.customersCompleted++;
+    session.customerCursor++;
+
+    if (session.connection) {
+        session.connection.resetForNextCustomer();
+    }
+
+    sendJson(res, 200, { status: 'success', customer_index: body.customer_index });
+}
+
+function handleSupervisorSessions(req, res) {
+    const sessionId = authenticate(req);
+    if (!sessionId) {
+        return sendJson(res, 401, { detail: 'Not authenticated' });
+    }
+    if (sessions.get(sessionId).role !== 'supervisor') {
+        return sendJson(res, 403, { detail: 'Supervisor role required' });
+    }
+
+    const active = [...sessions.entries()]
+        .filter(([, session]) => session.role === 'agent' && session.connection)
+        .map(([id, session]) => ({
+            session_id: id,
+            agent: session.username,
+            customer_index: session.connection.customer ? session.connection.customer.index : null,
+            call_active: session.connection.callInProgress,
+            started_at: session.callStartedAt || null
+        }));
+    sendJson(res, 200, { sessions: active });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const filePath = path.join(STATIC_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Judge the normalised path, so encoded "../" can't hop into a denied folder: stay inside the
+    // frontend folder and never expose dependencies, the mock itself or dot-files like .git
+    const segments = path.relative(STATIC_ROOT, filePath).split(path.sep);
+    if (segments[0] === '..' || path.isAbsolute(segments[0]) || ['node_modules', 'mock-server'].includes(segments[0]) ||
+        segments.some(segment => segment.startsWith('.'))) {
+        res.writeHead(404);
+        return res.end('Not found');
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    });
+}
+
+/**
+ * One scripted conversation per WebSocket connection
+ */
+class MockCall {
+    constructor(ws, sessionId, session) {
+        this.ws = ws;
+        this.sessionId = sessionId;
+        this.session = session;
+        this.timers = new Set();
+        this.heartbeatTimer = null;
+
+        this.callInProgress = false;
+        this.turnIndex = 0;
+        this.agentSpeaking = false;
+        this.audioChunksReceived = 0;
+        this.audioBytesReceived = 0;
+        this.framing = 'json';
+        this.audioFormat = 'pcm16';
+        this.muted = false;
+        this.turnHeldForMute = false;
+
+        this.monitors = new Map();   // supervisor MockCall -> { listenAudio }
+        this.monitoring = null;      // for supervisors: the MockCall being watched
+    }
+
+    get isSupervisor() {
+        return this.session.role === 'supervisor';
+    }
+
+    get customer() {
+        return scenario.CUSTOMERS[this.session.customerCursor] || null;
+    }
+
+    send(message) {
+        if (this.ws.readyState === this.ws.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+
+        this.monitors.forEach((options, supervisor) => {
+            if (MONITORED_TYPES.has(message.type) || (options.listenAudio && message.type === 'ai_response_chunk')) {
+                supervisor.send(message);
+            }
+        });
+    }
+
+    /**
+     * Supervisor read-only subscription to another agent's session
+     */
+    subscribeMonitor(message) {
+        const target = sessions.get(message.session_id);
+        if (!target || !target.connection || target.role !== 'agent') {
+            this.send({ type: 'error', message: `Session ${message.session_id} is not active` });
+            return;
+        }
+
+        this.unsubscribeMonitor();
+        this.monitoring = target.connection;
+        this.monitoring.monitors.set(this, { listenAudio: !!message.listen_audio });
+        log(`👀 ${this.session.username} monitoring ${target.username} (listen-in: ${!!message.listen_audio})`);
+
+        this.send({ type: 'monitor_subscribed', session_id: message.session_id, agent: target.username, listen_audio: !!message.listen_audio });
+        this.monitoring.sendSessionUpdate();
+    }
+
+    unsubscribeMonitor(reason = null) {
+        if (!this.monitoring) return;
+        this.monitoring.monitors.delete(this);
+        this.send({ type: 'monitor_ended', session_id: this.monitoring.sessionId, reason: reason });
+        this.monitoring = null;
+    }
+
+    later(fn, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delayMs);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    start() {
+        this.send({
+            type: 'connection_ready',
+            message: 'Connected to MARK mock backend',
+            audio_framing: ['binary', 'json']
+        });
+
+        this.heartbeatTimer = setInterval(() => {
+            this.send({ type: 'heartbeat', timestamp: Date.now() });
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    close() {
+        this.clearTimers();
+        clearInterval(this.heartbeatTimer);
+        if (this.monitoring) {
+            this.monitoring.monitors.delete(this);
+        }
+        this.monitors.forEach((options, supervisor) => supervisor.unsubscribeMonitor('agent_disconnected'));
+        log(`🔌 Session ${this.sessionId} disconnected (${this.audioChunksReceived} audio chunks, ${this.audioBytesReceived} bytes)`);
+    }
+
+    handleFrame(data, isBinary) {
+        if (isBinary) {
+            if (this.isSupervisor) {
+                log('🚫 Ignoring audio from a supervisor connection');
+                return;
+            }
+            try {
+                const frame = AudioFrameCodec.decode(data);
+                this.handleAudio(Buffer.from(frame.payload), frame.format);
+            } catch (error) {
+                log('⚠️ Bad binary frame:', error.message);
+            }
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            log('⚠️ Malformed JSON from client');
+            return;
+        }
+
+        // Supervisors are read-only: nothing that drives a call is accepted from them
+        if (this.isSupervisor && ['start_call', 'audio_stream_realtime', 'audio_stream', 'interrupt', 'resume_speech', 'mute_state'].includes(message.type)) {
+            log(`🚫 Rejected ${message.type} from supervisor ${this.session.username}`);
+            this.send({ type: 'error', message: `${message.type} is not allowed in monitor mode` });
+            return;
+        }
+
+        switch (message.type) {
+            case 'client_hello':
+                log(`🤝 client_hello v${message.protocol_version}`, message.capabilities);
+                this.send({
+                    type: 'server_hello',
+                    protocol_version: ProtocolRouter.VERSION,
+                    capabilities: {
+                        audio_formats: ['pcm16', 'opus', 'ogg_opus'],
+                        audio_framing: ['binary', 'json'],
+                        barge_in: ['client_vad', 'server_vad']
+                    }
+                });
+                break;
+            case 'audio_framing':
+                this.framing = message.framing;
+                log(`📦 Client switched to ${message.framing} audio framing`);
+                break;
+            case 'audio_format':
+                this.audioFormat = message.format;
+                log(`🗜️ Client uplink format: ${message.format} @ ${message.sample_rate} Hz`);
+                break;
+            case 'mute_state':
+                // A muted operator's silence isn't a turn end or an idle caller
+                this.muted = !!message.muted;
+                log(`${this.muted ? '🔇' : '🔊'} Operator ${this.muted ? 'muted' : 'unmuted'}`);
+                if (!this.muted && this.turnHeldForMute) {
+                    this.turnHeldForMute = false;
+                    this.playTurn();
+                }
+                break;
+            case 'start_call':
+                this.assignCustomer();
+                break;
+            case 'audio_stream_realtime':
+            case 'audio_stream':
+                this.handleAudio(Buffer.from(message.data || '', 'base64'), message.format || 'pcm16');
+                break;
+            case 'monitor_subscribe':
+                if (!this.isSupervisor) {
+                    this.send({ type: 'error', message: 'Supervisor role required' });
+                    break;
+                }
+                this.subscribeMonitor(message);
+                break;
+            case 'monitor_unsubscribe':
+                this.unsubscribeMonitor('unsubscribed');
+                break;
+            case 'interrupt':
+                this.handleInterrupt(message);
+                break;
+            case 'ping':
+                this.send({ type: 'pong', timestamp: message.timestamp });
+                break;
+            case 'pong':
+                break;
+            case 'get_session_info':
+                this.sendSessionUpdate();
+                break;
+            default:
+                log(`ℹ️ Unhandled client message: ${message.type}`);
+        }
+    }
+
+    assignCustomer() {
+        const customer = this.customer;
+        if (!customer) {
+            this.send({ type: 'all_customers_completed' });
+            return;
+        }
+        this.send({ type: 'calling_index_assigned', index: customer.index });
+        this.sendSessionUpdate();
+    }
+
+    sendSessionUpdate() {
+        const turn = scenario.TURNS[Math.max(0, this.turnIndex - 1)];
+        this.send({
+            type: 'session_update',
+            data: {
+                customer_index: this.customer ? this.customer.index : null,
+                customers_completed: this.session.customersCompleted,
+                checklist: this.callInProgress ? turn.checklist : { name_collected: false, email_collected: false },
+                lead_interested: this.callInProgress ? turn.leadInterested : false
+            }
+        });
+    }
+
+    handleAudio(payload, format) {
+        const byteLength = payload.length;
+        this.audioChunksReceived++;
+        this.audioBytesReceived += byteLength;
+
+        // Listen-in: relay the operator's uplink PCM to supervisors who asked for audio
+        if (format === 'pcm16') {
+            this.monitors.forEach((options, supervisor) => {
+                if (options.listenAudio) {
+                    supervisor.send({ type: 'monitor_audio', audio: payload.toString('base64'), sample_rate: 16000, source: 'agent' });
+                }
+            });
+        }
+
+        if (this.audioChunksReceived % 100 === 1) {
+            log(`🎤 Receiving ${this.audioFormat} audio (${this.framing}): ${this.audioChunksReceived} chunks, ${this.audioBytesReceived} bytes`);
+        }
+
+        // The first audio of a call means the operator pressed Start Call - greet the customer
+        if (!this.callInProgress && this.customer) {
+            this.callInProgress = true;
+            this.session.callStartedAt = new Date().toISOString();
+            this.turnIndex = 0;
+            log(`📞 Call started with customer #${this.customer.index}`);
+            this.playTurn();
+        }
+    }
+
+    /**
+     * Deliver the caller's line (if any) and then stream the agent's reply
+     */
+    playTurn() {
+        const turn = scenario.TURNS[this.turnIndex];
+        if (!turn) {
+            this.finishCall();
+            return;
+        }
+
+        // The conversation waits for a muted operator instead of treating the silence as a turn
+        if (this.muted && turn.caller) {
+            log('⏸️ Holding the next turn until the operator unmutes');
+            this.turnHeldForMute = true;
+            return;
+        }
+
+        const speakAgent = () => {
+            this.turnIndex++;
+            this.streamAgentReply(turn.agent, () => {
+                this.sendSessionUpdate();
+                this.later(() => this.playTurn(), CALLER_THINK_MS);
+            });
+        };
+
+        if (!turn.caller) {
+            speakAgent();
+            return;
+        }
+
+        this.send({ type: 'vad_status', speech_detected: true, timestamp: Date.now() });
+        this.send({ type: 'partial_transcription', text: turn.caller.split(' ').slice(0, 2).join(' ') });
+        this.later(() => {
+            this.send({ type: 'vad_status', speech_detected: false, timestamp: Date.now() });
+            this.send({ type: 'transcription', text: turn.caller });
+            // Simulated STT + LLM time before the reply starts streaming
+            this.later(speakAgent, 600);
+        }, 900);
+    }
+
+    streamAgentReply(text, onDone) {
+        const reply = scenario.buildAgentReply(text);
+        const chunkInterval = reply.durationMs / reply.audioChunks.length;
+        this.agentSpeaking = true;
+
+        reply.textChunks.forEach((piece, i) => {
+            this.later(() => this.send({ type: 'ai_partial_response', text: piece }), i * 120);
+        });
+
+        // Send audio a little faster than real time, like a streaming TTS would
+        reply.audioChunks.forEach((audio, i) => {
+            this.later(() => {
+                if (!this.agentSpeaking) return;
+                this.send({ type: 'ai_response_chunk', audio: audio, sample_rate: scenario.TTS_SAMPLE_RATE });
+            }, 300 + i * chunkInterval * 0.8);
+        });
+
+        this.later(() => {
+            this.agentSpeaking = false;
+            this.send({ type: 'ai_response_end' });
+            onDone();
+        }, 300 + reply.durationMs);
+    }
+
+    handleInterrupt(message) {
+        log(`🛑 Interrupt from client (${message.source})`);
+        if (this.agentSpeaking) {
+            this.agentSpeaking = false;
+            this.send({ type: 'stop_audio', immediate: true });
+        }
+    }
+
+    finishCall() {
+        log(`✅ Scripted call with customer #${this.customer.index} finished`);
+        this.send({
+            type: 'call_ended',
+            message: 'Conversation complete',
+            summary: {
+                call_summary: 'Customer agreed to a follow-up call this week.',
+                lead_interest: 'Interested'
+            }
+        });
+        this.sendSessionUpdate();
+    }
+
+    /**
+     * Called after /call-summary: stop the script and move to the next customer
+     */
+    resetForNextCustomer() {
+        this.clearTimers();
+        this.callInProgress = false;
+        this.agentSpeaking = false;
+        this.turnIndex = 0;
+
+        this.send({ type: 'session_refreshed', message: 'Session refreshed for next customer' });
+        if (this.customer) {
+            this.send({ type: 'calling_index_assigned', index: this.customer.index });
+            this.sendSessionUpdate();
+        } else {
+            this.send({ type: 'all_customers_completed' });
+        }
+    }
+}
+
+const routes = {
+    'POST /login': handleLogin,
+    'POST /refresh': handleRefresh,
+    'GET /config': handleConfig,
+    'POST /call-summary': handleCallSummary,
+    'GET /supervisor/sessions': handleSupervisorSessions
+};
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        setCorsHeaders(res);
+        res.writeHead(204);
+        return res.end();
+    }
+
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const handler = routes[`${req.method} ${pathname}`];
+
+    try {
+        if (handler) {
+            await handler(req, res);
+        } else if (req.method === 'GET') {
+            serveStatic(req, res);
+        } else {
+            sendJson(res, 404, { detail: 'Not found' });
+        }
+    } catch (error) {
+        log('❌ Request failed:', error.message);
+        sendJson(res, 400, { detail: error.message });
+    }
+});
+
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', (req, socket, head) => {
+    const match = /^\/ws\/([^/?]+)/.exec(req.url);
+    const session = match ? sessions.get(match[1]) : null;
+
+    if (!session) {
+        socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        const sessionId = match[1];
+        let call = null;
+        const authTimer = setTimeout(() => ws.close(WS_AUTH_REJECTED, 'Authentication required'), WS_AUTH_TIMEOUT_MS);
+
+        ws.on('message', (data, isBinary) => {
+            if (call) {
+                call.handleFrame(data, isBinary);
+                return;
+            }
+
+            // Nothing is accepted until the first message authenticates the socket for this session
+            clearTimeout(authTimer);
+            let message = null;
+            try {
+                message = isBinary ? null : JSON.parse(data.toString());
+            } catch (error) {
+                // Treated as a failed auth below
+            }
+            if (!message || message.type !== 'auth' || verifyToken(message.token) !== sessionId) {
+                log(`🚫 Session ${sessionId}: WebSocket auth rejected`);
+                ws.close(WS_AUTH_REJECTED, 'Authentication failed');
+                return;
+            }
+
+            call = new MockCall(ws, sessionId, session);
+            session.connection = call;
+            log(`🔗 Session ${sessionId} connected`);
+            call.start();
+        });
+
+        ws.on('close', () => {
+            clearTimeout(authTimer);
+            if (!call) return;
+            call.close();
+            if (session.connection === call) {
+                session.connection = null;
+            }
+        });
+    });
+});
+
+server.listen(PORT, () => {
+    log(`🚀 MARK mock backend listening on http://localhost:${PORT} (any username/password logs in)`);
+});
@@ -0,0 +1,101 @@
+/**
+ * Monitor Audio Player
+ * Plays a supervisor's listen-in stream (`monitor_audio`, the agent's uplink) on its own
+ * schedule, separate from the TTS queue. Chunks are scheduled back to back a short jitter
+ * cushion ahead of the playhead; when they arrive faster than they play (a network burst, a
+ * throttled background tab) the stale backlog is dropped so listen-in stays close to live
+ * instead of drifting further behind the call.
+ */
+
+class MonitorAudioPlayer {
+    constructor(options = {}) {
+        this.options = {
+            targetDelayMs: options.targetDelayMs || 200,   // cushion kept ahead of the playhead
+            maxDelayMs: options.maxDelayMs || 800,         // backlog beyond this is stale and skipped
+            ...options
+        };
+
+        this.context = null;
+        this.nextTime = 0;           // context time the next chunk starts at
+        this.sources = new Set();    // scheduled, not yet finished
+        this.droppedChunks = 0;
+    }
+
+    /**
+     * Decode a base64 PCM16 (little-endian, mono) chunk to float samples
+     */
+    static decodePcm16(base64Data) {
+        const binary = atob(base64Data);
+        const samples = new Float32Array(binary.length >> 1);
+        for (let i = 0; i < samples.length; i++) {
+            let value = binary.charCodeAt(i * 2) | (binary.charCodeAt(i * 2 + 1) << 8);
+            if (value >= 0x8000) value -= 0x10000;
+            samples[i] = value / 32768;
+        }
+        return samples;
+    }
+
+    /**
+     * Schedule one chunk on context; returns false if it couldn't be played
+     */
+    push(context, base64Data, sampleRate = 16000) {
+        if (!context || context.state !== 'running') return false;
+        if (context !== this.context) {
+            this.stop();
+            this.context = context;
+        }
+
+        const samples = MonitorAudioPlayer.decodePcm16(base64Data);
+        if (samples.length === 0) return false;
+
+        const now = context.currentTime;
+        if (this.nextTime < now) {
+            // First chunk or an underrun: rebuild the cushion before playing on
+            this.nextTime = now + this.options.targetDelayMs / 1000;
+        } else if (this.nextTime - now > this.options.maxDelayMs / 1000) {
+            // Fallen behind: skip what is still queued and carry on from the newest audio
+            this.droppedChunks += this.sources.size;
+            console.warn(`⏭️ Listen-in ${Math.round((this.nextTime - now) * 1000)}ms behind - skipping ${this.sources.size} queued chunk(s)`);
+            this.stopSources();
+            this.nextTime = now + this.options.targetDelayMs / 1000;
+        }
+
+        const buffer = context.createBuffer(1, samples.length, sampleRate);
+        buffer.getChannelData(0).set(samples);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.onended = () => this.sources.delete(source);
+        source.start(this.nextTime);
+        this.sources.add(source);
+        this.nextTime += buffer.duration;
+        return true;
+    }
+
+    stopSources() {
+        this.sources.forEach((source) => {
+            source.onended = null;
+            try {
+                source.stop(0);
+            } catch (error) {
+                // Already finished
+            }
+        });
+        this.sources.clear();
+    }
+
+    /**
+     * Silence everything scheduled (listen-in off, monitoring ended)
+     */
+    stop() {
+        this.stopSources();
+        this.nextTime = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonitorAudioPlayer;
+} else {
+    window.MonitorAudioPlayer = MonitorAudioPlayer;
+}
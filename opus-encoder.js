@@ -0,0 +1,227 @@
+/**
+ * Uplink Opus Encoder
+ * Compresses 16kHz mono microphone PCM to Opus for agents on constrained links.
+ * - WebCodecs AudioEncoder where available → raw Opus packets ('opus', 20ms each)
+ * - Otherwise the opus-recorder WASM worker → Ogg Opus pages ('ogg_opus'), served from
+ *   vendor/opus-recorder (opus-recorder 8.0.5 from npm, unmodified) rather than a CDN
+ */
+
+class UplinkOpusEncoder {
+    constructor(options = {}) {
+        this.options = {
+            sampleRate: options.sampleRate || 16000,
+            bitrate: options.bitrate || 24000,
+            frameDurationMs: options.frameDurationMs || 20,
+            wasmWorkerURL: options.wasmWorkerURL || 'vendor/opus-recorder/encoderWorker.min.js',
+            ...options
+        };
+
+        this.mode = null;      // 'webcodecs' | 'wasm'
+        this.format = null;    // 'opus' | 'ogg_opus'
+        this.encoder = null;   // AudioEncoder instance
+        this.worker = null;    // WASM encoder worker
+        this.samplesEncoded = 0;
+        this.isInitialized = false;
+
+        // Callbacks
+        this.callbacks = {
+            onPacket: null, // (Uint8Array bytes, { format, timestamp }) for every encoded packet/page
+            onError: null
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    webCodecsConfig() {
+        return {
+            codec: 'opus',
+            sampleRate: this.options.sampleRate,
+            numberOfChannels: 1,
+            bitrate: this.options.bitrate,
+            opus: {
+                format: 'opus',
+                frameDuration: this.options.frameDurationMs * 1000,
+                useinbandfec: true
+            }
+        };
+    }
+
+    /**
+     * Whether WebCodecs can encode Opus with our settings in this browser
+     */
+    static async isWebCodecsSupported(sampleRate = 16000) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+            return false;
+        }
+        try {
+            const probe = new UplinkOpusEncoder({ sampleRate });
+            const { supported } = await AudioEncoder.isConfigSupported(probe.webCodecsConfig());
+            return !!supported;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Uplink formats this browser can produce, best first
+     */
+    static async detectFormats(sampleRate = 16000) {
+        const formats = [];
+        if (await UplinkOpusEncoder.isWebCodecsSupported(sampleRate)) {
+            formats.push('opus');
+        }
+        if (typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined') {
+            formats.push('ogg_opus');
+        }
+        return formats;
+    }
+
+    /**
+     * Start an encoder producing one of the acceptable formats (in preference order)
+     */
+    async initialize(acceptableFormats = ['opus', 'ogg_opus']) {
+        if (acceptableFormats.includes('opus') && await UplinkOpusEncoder.isWebCodecsSupported(this.options.sampleRate)) {
+            this.initializeWebCodecs();
+        } else if (acceptableFormats.includes('ogg_opus')) {
+            await this.initializeWasm();
+        } else {
+            throw new Error(`No Opus encoder available for formats: ${acceptableFormats.join(', ')}`);
+        }
+
+        this.isInitialized = true;
+        console.log(`🗜️ Opus uplink encoder ready (${this.mode}, ${this.format}, ${this.options.bitrate} bps)`);
+        return this.format;
+    }
+
+    initializeWebCodecs() {
+        this.encoder = new AudioEncoder({
+            output: (chunk) => {
+                const bytes = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(bytes);
+                this.emit(bytes, chunk.timestamp);
+            },
+            error: (error) => this.handleError(error)
+        });
+        this.encoder.configure(this.webCodecsConfig());
+        this.mode = 'webcodecs';
+        this.format = 'opus';
+    }
+
+    async initializeWasm() {
+        this.worker = new Worker(this.options.wasmWorkerURL);
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Opus WASM encoder did not load')), 15000);
+
+            this.worker.onmessage = (event) => {
+                const { message } = event.data || {};
+                if (message === 'ready') {
+                    clearTimeout(timeout);
+                    resolve();
+                } else if (message === 'page') {
+                    this.emit(new Uint8Array(event.data.page), Math.round((event.data.samplePosition || 0) / this.options.sampleRate * 1e6));
+                }
+            };
+            this.worker.onerror = (error) => {
+                clearTimeout(timeout);
+                reject(error);
+                this.handleError(error);
+            };
+
+            this.worker.postMessage({
+                command: 'init',
+                encoderSampleRate: this.options.sampleRate,
+                originalSampleRate: this.options.sampleRate,
+                numberOfChannels: 1,
+                encoderApplication: 2048, // OPUS_APPLICATION_VOIP
+                encoderFrameSize: this.options.frameDurationMs,
+                encoderBitRate: this.options.bitrate,
+                streamPages: true,
+                maxFramesPerPage: 4 // 80ms pages, matching the PCM chunk cadence
+            });
+        });
+
+        this.mode = 'wasm';
+        this.format = 'ogg_opus';
+    }
+
+    /**
+     * Encode one chunk of PCM16 (Int16Array or its ArrayBuffer)
+     */
+    encode(pcm16) {
+        if (!this.isInitialized) return;
+
+        const samples = pcm16 instanceof Int16Array ? pcm16 : new Int16Array(pcm16);
+        const float32 = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            float32[i] = samples[i] / (samples[i] < 0 ? 32768 : 32767);
+        }
+
+        try {
+            if (this.mode === 'webcodecs') {
+                const audioData = new AudioData({
+                    format: 'f32',
+                    sampleRate: this.options.sampleRate,
+                    numberOfFrames: float32.length,
+                    numberOfChannels: 1,
+                    timestamp: Math.round(this.samplesEncoded / this.options.sampleRate * 1e6),
+                    data: float32
+                });
+                this.encoder.encode(audioData);
+                audioData.close();
+            } else if (this.mode === 'wasm') {
+                this.worker.postMessage({ command: 'encode', buffers: [float32] }, [float32.buffer]);
+            }
+            this.samplesEncoded += samples.length;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    emit(bytes, timestamp) {
+        if (this.callbacks.onPacket) {
+            this.callbacks.onPacket(bytes, { format: this.format, timestamp: timestamp });
+        }
+    }
+
+    handleError(error) {
+        console.error('❌ Opus encoder error:', error);
+        if (this.callbacks.onError) {
+            this.callbacks.onError(error);
+        }
+    }
+
+    /**
+     * Release the encoder; pending output is discarded
+     */
+    close() {
+        if (this.encoder) {
+            try {
+                if (this.encoder.state !== 'closed') {
+                    this.encoder.close();
+                }
+            } catch (e) {
+                // Already closed
+            }
+            this.encoder = null;
+        }
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.isInitialized = false;
+        console.log('🗑️ Opus uplink encoder closed');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UplinkOpusEncoder;
+} else {
+    window.UplinkOpusEncoder = UplinkOpusEncoder;
+}
@@ -0,0 +1,248 @@
+/**
+ * Outbound Message Queue
+ * Prioritised, backpressure-aware sender for the call WebSocket.
+ * - Control messages (interrupt, start_call, pong, ...) always go out before anything else
+ * - Audio is only handed to the socket while bufferedAmount is below a threshold;
+ *   beyond that the oldest queued chunks are dropped so the backlog stays bounded
+ * - Control and normal messages are kept across reconnects and flushed on the next socket,
+ *   after its client_hello; per-socket negotiation (start_call, audio_format, ...) is dropped
+ *   instead, because the reconnect path sends it afresh
+ */
+
+class OutboundQueue {
+    static get PRIORITY() {
+        return {
+            CONTROL: 'control',
+            NORMAL: 'normal',
+            AUDIO: 'audio'
+        };
+    }
+
+    /**
+     * Message types that must jump ahead of queued audio
+     */
+    static get CONTROL_TYPES() {
+        return ['client_hello', 'interrupt', 'start_call', 'ping', 'pong', 'resume_speech', 'audio_framing', 'audio_format', 'mute_state'];
+    }
+
+    /**
+     * Messages that belong to one socket's session setup. The app repeats them after every
+     * (re)connect - start_call with resume, the uplink format, mute state - so a copy left over
+     * from before a drop would reach the new server twice, and ahead of its handshake.
+     */
+    static get PER_SOCKET_TYPES() {
+        return ['client_hello', 'start_call', 'audio_framing', 'audio_format', 'mute_state'];
+    }
+
+    /**
+     * Maximum age for control messages that are meaningless once stale
+     */
+    static get MAX_AGE_MS() {
+        return {
+            ping: 5000,
+            pong: 5000,
+            interrupt: 3000
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            maxBufferedBytes: options.maxBufferedBytes || 32 * 1024, // ~1s of PCM16 JSON audio
+            maxQueuedAudio: options.maxQueuedAudio || 3,             // chunks held back while the socket drains
+            maxQueuedMessages: options.maxQueuedMessages || 200,
+            drainIntervalMs: options.drainIntervalMs || 20,
+            ...options
+        };
+
+        this.socket = null;
+        this.queues = {
+            control: [],
+            normal: [],
+            audio: []
+        };
+        this.drainTimer = null;
+
+        this.stats = {
+            sent: 0,
+            audioSent: 0,
+            audioDropped: 0,
+            expired: 0
+        };
+
+        // Callbacks
+        this.callbacks = {
+            onSend: null // (payload) - every frame actually handed to the socket
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    send(payload) {
+        this.socket.send(payload);
+        this.stats.sent++;
+        if (this.callbacks.onSend) {
+            this.callbacks.onSend(payload);
+        }
+    }
+
+    /**
+     * Classify a JSON message into a priority lane
+     */
+    static priorityFor(message) {
+        if (message && OutboundQueue.CONTROL_TYPES.includes(message.type)) {
+            return OutboundQueue.PRIORITY.CONTROL;
+        }
+        return OutboundQueue.PRIORITY.NORMAL;
+    }
+
+    get isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    get hasBackpressure() {
+        return this.isOpen && this.socket.bufferedAmount > this.options.maxBufferedBytes;
+    }
+
+    /**
+     * Start sending through a freshly opened socket. The greeting (client_hello) goes out first,
+     * then anything queued meanwhile.
+     */
+    attach(socket, greeting = null) {
+        this.socket = socket;
+        if (greeting) {
+            this.queues.control.unshift({ type: greeting.type, payload: JSON.stringify(greeting), queuedAt: Date.now() });
+        }
+        this.flush();
+    }
+
+    /**
+     * Forget the socket after it closes; audio is stale by the time we reconnect, and the
+     * per-socket setup messages will be sent again for the next socket
+     */
+    detach() {
+        this.socket = null;
+        this.stats.audioDropped += this.queues.audio.length;
+        this.queues.audio = [];
+        ['control', 'normal'].forEach((laneName) => {
+            this.queues[laneName] = this.queues[laneName].filter(entry => !OutboundQueue.PER_SOCKET_TYPES.includes(entry.type));
+        });
+        this.stopDrainTimer();
+    }
+
+    /**
+     * Queue a JSON control/normal message; returns false only when it had to be discarded
+     */
+    enqueue(message, priority = OutboundQueue.priorityFor(message)) {
+        const lane = this.queues[priority] || this.queues.normal;
+
+        if (lane.length >= this.options.maxQueuedMessages) {
+            console.warn('⚠️ Outbound queue full, dropping message:', message.type);
+            return false;
+        }
+
+        lane.push({
+            type: message.type,
+            payload: JSON.stringify(message),
+            queuedAt: Date.now()
+        });
+
+        this.flush();
+        return true;
+    }
+
+    /**
+     * Send an audio payload (JSON string or binary frame), dropping the oldest held-back
+     * chunks when the socket can't keep up. Audio is never queued while disconnected.
+     */
+    sendAudio(payload) {
+        if (!this.isOpen) {
+            return false;
+        }
+
+        this.queues.audio.push({ type: 'audio', payload: payload, queuedAt: Date.now() });
+
+        while (this.queues.audio.length > this.options.maxQueuedAudio) {
+            this.queues.audio.shift();
+            this.stats.audioDropped++;
+            if (this.stats.audioDropped % 25 === 1) {
+                console.warn(`⚠️ Uplink congested (bufferedAmount=${this.socket.bufferedAmount}), dropped ${this.stats.audioDropped} audio chunks so far`);
+            }
+        }
+
+        this.flush();
+        return true;
+    }
+
+    /**
+     * Push queued messages to the socket in priority order
+     */
+    flush() {
+        if (!this.isOpen) {
+            return;
+        }
+
+        const now = Date.now();
+
+        // Control and normal messages are small and latency-critical - send regardless of buffer level
+        for (const laneName of ['control', 'normal']) {
+            const lane = this.queues[laneName];
+            while (lane.length > 0) {
+                const entry = lane.shift();
+                const maxAge = OutboundQueue.MAX_AGE_MS[entry.type];
+                if (maxAge && now - entry.queuedAt > maxAge) {
+                    this.stats.expired++;
+                    console.log(`⌛ Dropping stale ${entry.type} message (${now - entry.queuedAt}ms old)`);
+                    continue;
+                }
+                this.send(entry.payload);
+            }
+        }
+
+        const audio = this.queues.audio;
+        while (audio.length > 0 && !this.hasBackpressure) {
+            this.send(audio.shift().payload);
+            this.stats.audioSent++;
+        }
+
+        // Still holding audio back - check again once the socket has drained a little
+        if (audio.length > 0) {
+            this.startDrainTimer();
+        } else {
+            this.stopDrainTimer();
+        }
+    }
+
+    startDrainTimer() {
+        if (this.drainTimer) return;
+        this.drainTimer = setInterval(() => this.flush(), this.options.drainIntervalMs);
+    }
+
+    stopDrainTimer() {
+        if (this.drainTimer) {
+            clearInterval(this.drainTimer);
+            this.drainTimer = null;
+        }
+    }
+
+    /**
+     * Drop everything, e.g. on logout
+     */
+    clear() {
+        this.queues.control = [];
+        this.queues.normal = [];
+        this.queues.audio = [];
+        this.stopDrainTimer();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutboundQueue;
+} else {
+    window.OutboundQueue = OutboundQueue;
+}
@@ -0,0 +1,294 @@
+/**
+ * WebSocket Protocol
+ * Declares every message exchanged with the backend, validates payloads against
+ * those schemas and routes inbound messages to registered handlers.
+ *
+ * Field specs are type names joined with '|' and suffixed with '?' when optional,
+ * e.g. 'string', 'number|string?', 'object'. Unlisted fields are allowed.
+ */
+
+class ProtocolRouter {
+    /**
+     * Wire protocol version spoken by this client ('major.minor').
+     * Major bumps are breaking; minor bumps only add optional fields or message types.
+     */
+    static get VERSION() {
+        return '1.0';
+    }
+
+    static get SCHEMAS() {
+        return {
+            inbound: {
+                connection_ready: { message: 'string?', audio_framing: 'array?', protocol_version: 'string?', capabilities: 'object?' },
+                server_hello: { protocol_version: 'string', min_client_version: 'string?', capabilities: 'object?' },
+                heartbeat: { timestamp: 'any?' },
+                pong: { timestamp: 'any?' },
+                transcription: { text: 'string' },
+                partial_transcription: { text: 'string' },
+                simple_greeting: { text: 'string?', audio: 'string?', sample_rate: 'number?' },
+                ai_response: { text: 'string', audio: 'string?', sample_rate: 'number?' },
+                ai_partial_response: { text: 'string' },
+                ai_response_chunk: { audio: 'string', sample_rate: 'number?' },
+                ai_response_end: {},
+                vad_status: { speech_detected: 'boolean', timestamp: 'any?' },
+                stop_audio: { immediate: 'boolean?', force_stop: 'boolean?', force: 'boolean?', priority: 'any?' },
+                clear_audio_buffers: { force: 'boolean?' },
+                audio_interrupt: { clear_all: 'boolean?' },
+                session_refreshed: { message: 'string?' },
+                session_auto_refreshed: { message: 'string?' },
+                session_update: { data: 'object' },
+                session_status: { status: 'string?' },
+                session_timer_started: {},
+                error: { message: 'string' },
+                script_updated: { message: 'string?' },
+                calling_index_assigned: { index: 'number|string' },
+                no_calling_index: { message: 'string?' },
+                all_customers_completed: {},
+                auto_start_first_call: { customer_index: 'number|string?' },
+                auto_start_next_call: { customer_index: 'number|string?' },
+                auto_refresh_customer_progressed: { customer_index: 'number|string?' },
+                next_customer_activated: { customer_index: 'number|string?' },
+                next_customer_ready: { customer_index: 'number|string?' },
+                sheet_monitor_debug: {},
+                status_updated: {},
+                stt_status: { status: 'any?' },
+                call_ended: { message: 'string?', summary: 'object?' },
+                monitor_subscribed: { session_id: 'string', agent: 'string?', listen_audio: 'boolean?' },
+                monitor_ended: { session_id: 'string?', reason: 'string|null?' },
+                monitor_audio: { audio: 'string', sample_rate: 'number?', source: 'string?' }
+            },
+            outbound: {
+                auth: { token: 'string' },
+                monitor_subscribe: { session_id: 'string', listen_audio: 'boolean' },
+                monitor_unsubscribe: {},
+                client_hello: { protocol_version: 'string', capabilities: 'object' },
+                start_call: { resume: 'boolean?', customer_index: 'number|string|null?' },
+                interrupt: { source: 'string', speechProb: 'number?', timestamp: 'number?' },
+                pong: { timestamp: 'any?' },
+                ping: { timestamp: 'number' },
+                resume_speech: {},
+                get_session_info: {},
+                audio_framing: { framing: 'string', header_version: 'number', format: 'string', sample_rate: 'number' },
+                audio_format: { format: 'string', sample_rate: 'number', frame_duration_ms: 'number' },
+                mute_state: { muted: 'boolean', timestamp: 'number' },
+                audio_stream_realtime: { data: 'string', format: 'string', chunk_size: 'number', sample_rate: 'number', timestamp: 'number' },
+                audio_stream: { data: 'string', format: 'string', duration: 'number', streaming: 'boolean?' }
+            }
+        };
+    }
+
+    /**
+     * Parse 'major.minor[.patch]' into numbers (null when unparseable)
+     */
+    static parseVersion(version) {
+        const match = /^(\d+)\.(\d+)(?:\.(\d+))?$/.exec(String(version || '').trim());
+        if (!match) return null;
+        return { major: Number(match[1]), minor: Number(match[2]) };
+    }
+
+    /**
+     * Decide whether this client can talk to a server announcing serverVersion
+     */
+    static checkCompatibility(serverVersion, minClientVersion = null, clientVersion = ProtocolRouter.VERSION) {
+        const client = ProtocolRouter.parseVersion(clientVersion);
+        const server = ProtocolRouter.parseVersion(serverVersion);
+
+        if (!server) {
+            return { compatible: false, reason: `Server announced an unreadable protocol version "${serverVersion}"` };
+        }
+        if (server.major !== client.major) {
+            return { compatible: false, reason: `Server speaks protocol ${serverVersion} but this client speaks ${clientVersion}` };
+        }
+
+        const minimum = ProtocolRouter.parseVersion(minClientVersion);
+        if (minimum && (client.major < minimum.major || (client.major === minimum.major && client.minor < minimum.minor))) {
+            return { compatible: false, reason: `Server requires client protocol ${minClientVersion} or newer (this client is ${clientVersion})` };
+        }
+
+        return { compatible: true, reason: null };
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            diagnosticsLimit: options.diagnosticsLimit || 200,
+            ...options
+        };
+
+        this.schemas = ProtocolRouter.SCHEMAS;
+        this.handlers = new Map();
+        this.diagnostics = [];
+
+        // Callbacks
+        this.callbacks = {
+            onDiagnostic: null
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Register the handler for an inbound message type
+     */
+    on(type, handler) {
+        if (!this.schemas.inbound[type]) {
+            throw new Error(`Cannot register handler for undeclared message type: ${type}`);
+        }
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * Check a single value against a field spec such as 'number|string?'
+     */
+    static matchesSpec(value, spec) {
+        const optional = spec.endsWith('?');
+        const types = (optional ? spec.slice(0, -1) : spec).split('|');
+
+        if (value === undefined) {
+            return optional;
+        }
+
+        return types.some(type => {
+            switch (type) {
+                case 'any':
+                    return true;
+                case 'null':
+                    return value === null;
+                case 'array':
+                    return Array.isArray(value);
+                case 'object':
+                    return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'number':
+                    return typeof value === 'number' && !Number.isNaN(value);
+                default:
+                    return typeof value === type;
+            }
+        });
+    }
+
+    /**
+     * Validate a message for the given direction ('inbound' or 'outbound').
+     * Returns a list of problems; an empty list means the message is valid.
+     */
+    validate(direction, message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return ['message is not an object'];
+        }
+        if (typeof message.type !== 'string') {
+            return ['missing "type" field'];
+        }
+
+        const schema = this.schemas[direction][message.type];
+        if (!schema) {
+            return [`unknown ${direction} message type "${message.type}"`];
+        }
+
+        const errors = [];
+        for (const [field, spec] of Object.entries(schema)) {
+            if (!ProtocolRouter.matchesSpec(message[field], spec)) {
+                errors.push(`field "${field}" expected ${spec}, got ${message[field] === null ? 'null' : typeof message[field]}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Parse, validate and route a raw inbound frame. Never throws.
+     * Returns true when a handler ran successfully.
+     */
+    dispatch(raw) {
+        let message;
+        try {
+            message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            this.report('malformed_json', null, error.message, typeof raw === 'string' ? raw.slice(0, 200) : null);
+            return false;
+        }
+
+        const type = message && typeof message.type === 'string' ? message.type : null;
+
+        if (type && !this.schemas.inbound[type]) {
+            this.report('unknown_type', type, `unknown inbound message type "${type}"`);
+            return false;
+        }
+
+        const errors = this.validate('inbound', message);
+        if (errors.length > 0) {
+            this.report('invalid_payload', type, errors.join('; '));
+            return false;
+        }
+
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            this.report('unhandled', type, 'no handler registered');
+            return false;
+        }
+
+        try {
+            const result = handler(message);
+            // Async handlers report their rejections too instead of surfacing as unhandled promises
+            if (result && typeof result.catch === 'function') {
+                result.catch(error => this.report('handler_error', type, error && error.message ? error.message : String(error)));
+            }
+            return true;
+        } catch (error) {
+            this.report('handler_error', type, error && error.message ? error.message : String(error));
+            return false;
+        }
+    }
+
+    /**
+     * Validate an outbound message; problems are logged but never block the send
+     */
+    checkOutbound(message) {
+        const errors = this.validate('outbound', message);
+        if (errors.length > 0) {
+            this.report('invalid_outbound', message && message.type, errors.join('; '));
+        }
+        return errors.length === 0;
+    }
+
+    /**
+     * Record a protocol problem in the bounded diagnostics log
+     */
+    report(kind, type, detail, sample = null) {
+        const entry = {
+            timestamp: Date.now(),
+            kind: kind,
+            type: type,
+            detail: detail,
+            sample: sample
+        };
+
+        this.diagnostics.push(entry);
+        if (this.diagnostics.length > this.options.diagnosticsLimit) {
+            this.diagnostics.shift();
+        }
+
+        console.warn(`⚠️ Protocol ${kind}${type ? ` (${type})` : ''}: ${detail}`);
+
+        if (this.callbacks.onDiagnostic) {
+            this.callbacks.onDiagnostic(entry);
+        }
+    }
+
+    getDiagnostics() {
+        return this.diagnostics.slice();
+    }
+
+    clearDiagnostics() {
+        this.diagnostics = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProtocolRouter;
+} else {
+    window.ProtocolRouter = ProtocolRouter;
+}
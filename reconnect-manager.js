@@ -0,0 +1,150 @@
+/**
+ * Reconnect Manager
+ * Schedules WebSocket reconnection attempts with exponential backoff and jitter,
+ * and gives up after a bounded number of attempts so the UI can surface an error.
+ *
+ * An opened socket doesn't count as recovered yet: a server that accepts and immediately
+ * closes it would otherwise reset the backoff forever. The attempt counter is only cleared
+ * by markStable() (the app calls it on connection_ready) or after stableAfterMs of uptime.
+ */
+
+class ReconnectManager {
+    constructor(options = {}) {
+        this.options = {
+            baseDelayMs: options.baseDelayMs || 500,
+            maxDelayMs: options.maxDelayMs || 15000,
+            multiplier: options.multiplier || 2,
+            jitter: options.jitter !== undefined ? options.jitter : 0.3, // +/- 30% randomisation
+            maxAttempts: options.maxAttempts || 8,
+            stableAfterMs: options.stableAfterMs || 10000, // uptime that counts as recovered without connection_ready
+            ...options
+        };
+
+        this.attempt = 0;
+        this.timer = null;
+        this.inFlight = false;
+        this.stableTimer = null;   // running while a reconnected socket waits to prove itself
+
+        // Callbacks
+        this.callbacks = {
+            onAttempt: null,     // (attempt, maxAttempts, delayMs) before each scheduled attempt
+            onReconnected: null, // (attempts) after a successful reconnect
+            onGiveUp: null       // (lastError) once maxAttempts is exhausted
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * True while an attempt is scheduled or running
+     */
+    get isActive() {
+        return this.timer !== null || this.inFlight;
+    }
+
+    /**
+     * Backoff delay for the next attempt, randomised to avoid thundering herds
+     */
+    nextDelay() {
+        const exponential = this.options.baseDelayMs * Math.pow(this.options.multiplier, this.attempt);
+        const capped = Math.min(this.options.maxDelayMs, exponential);
+        const spread = capped * this.options.jitter;
+        return Math.max(0, Math.round(capped - spread + Math.random() * spread * 2));
+    }
+
+    /**
+     * Schedule the next attempt; connectFn must return a promise that resolves once connected
+     */
+    schedule(connectFn, lastError = null) {
+        if (this.isActive) {
+            return;
+        }
+        this.clearStableTimer();
+
+        if (this.attempt >= this.options.maxAttempts) {
+            console.error(`❌ Reconnect gave up after ${this.attempt} attempts`);
+            const attempts = this.attempt;
+            this.reset();
+            if (this.callbacks.onGiveUp) {
+                this.callbacks.onGiveUp(lastError, attempts);
+            }
+            return;
+        }
+
+        const delay = this.nextDelay();
+        this.attempt++;
+        console.log(`🔁 Reconnect attempt ${this.attempt}/${this.options.maxAttempts} in ${delay}ms`);
+
+        if (this.callbacks.onAttempt) {
+            this.callbacks.onAttempt(this.attempt, this.options.maxAttempts, delay);
+        }
+
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            this.inFlight = true;
+            try {
+                await connectFn();
+                this.inFlight = false;
+                console.log(`🔌 Socket reopened on attempt ${this.attempt}, waiting for it to stay up`);
+                this.stableTimer = setTimeout(() => this.markStable(), this.options.stableAfterMs);
+            } catch (error) {
+                this.inFlight = false;
+                console.warn(`⚠️ Reconnect attempt ${this.attempt} failed:`, error && error.message ? error.message : error);
+                this.schedule(connectFn, error);
+            }
+        }, delay);
+    }
+
+    /**
+     * The reconnected session is really back (connection_ready, or stableAfterMs of uptime):
+     * clear the backoff. Does nothing if no reconnect is waiting to be confirmed.
+     */
+    markStable() {
+        if (!this.stableTimer) return;
+
+        const attempts = this.attempt;
+        this.reset();
+        console.log(`✅ Reconnected after ${attempts} attempt(s)`);
+        if (this.callbacks.onReconnected) {
+            this.callbacks.onReconnected(attempts);
+        }
+    }
+
+    clearStableTimer() {
+        if (this.stableTimer) {
+            clearTimeout(this.stableTimer);
+            this.stableTimer = null;
+        }
+    }
+
+    /**
+     * Stop any pending attempt without resetting the attempt counter
+     */
+    cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.clearStableTimer();
+    }
+
+    /**
+     * Cancel pending work and start the backoff sequence from scratch
+     */
+    reset() {
+        this.cancel();
+        this.attempt = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReconnectManager;
+} else {
+    window.ReconnectManager = ReconnectManager;
+}
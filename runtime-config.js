@@ -0,0 +1,214 @@
+/**
+ * Runtime Configuration
+ * Deployment-tunable settings (feature flags, VAD / barge-in parameters, audio and UI options)
+ * loaded at startup from a static config.json and optionally overlaid with the `client_config`
+ * object of the backend's /config response.
+ *
+ * Every setting is declared in SCHEMA with its type, default and allowed range. Values that
+ * fail validation are reported and ignored, so a bad deployment file can only fall back to
+ * defaults, never break the app.
+ */
+
+class RuntimeConfig {
+    static get SCHEMA() {
+        return {
+            features: {
+                clientVad: { type: 'boolean', default: true },           // Silero VAD in the browser
+                binaryFraming: { type: 'boolean', default: true },       // binary uplink frames when the server offers them
+                opusUplink: { type: 'boolean', default: true },          // allow the Opus uplink toggle
+                sessionRecorder: { type: 'boolean', default: true },     // ?debug / ?record recorder panel
+                autoStartCall: { type: 'boolean', default: true },       // start the call right after login
+                mergeBackendConfig: { type: 'boolean', default: true },  // overlay /config client_config on top of config.json
+                sharedAudioBuffer: { type: 'boolean', default: false },  // SharedArrayBuffer capture ring (needs cross-origin isolation)
+                audioCheck: { type: 'boolean', default: true }           // calls need a passed pre-call audio check
+            },
+            vad: {
+                sileroThreshold: { type: 'number', default: 0.75, min: 0, max: 1 },
+                energyThreshold: { type: 'number', default: 0.05, min: 0, max: 1 },
+                minSpeechMs: { type: 'number', default: 400, min: 0, max: 5000 },
+                minSilenceMs: { type: 'number', default: 300, min: 0, max: 5000 },
+                // Worklet energy VAD, counted in whole 64 ms windows: 512 ms = 8, 320 ms = 5
+                energyMinSpeechMs: { type: 'number', default: 512, min: 0, max: 5000 },
+                energyMinSilenceMs: { type: 'number', default: 320, min: 0, max: 5000 },
+                interruptThreshold: { type: 'number', default: 0.85, min: 0, max: 1 },
+                workletInterruptProb: { type: 'number', default: 0.2, min: 0, max: 1 }
+            },
+            bargeIn: {
+                minInterruptIntervalMs: { type: 'number', default: 2000, min: 0, max: 30000 },
+                clientFeedbackGraceMs: { type: 'number', default: 1000, min: 0, max: 10000 },
+                serverFeedbackGraceMs: { type: 'number', default: 1200, min: 0, max: 10000 }
+            },
+            heartbeat: {
+                expectedIntervalMs: { type: 'number', default: 15000, min: 1000, max: 120000 },   // server heartbeat cadence
+                pingAfterMs: { type: 'number', default: 10000, min: 1000, max: 120000 },          // quiet time before the client pings
+                degradedAfterMisses: { type: 'number', default: 1, min: 1, max: 10 },
+                deadAfterMisses: { type: 'number', default: 3, min: 1, max: 20 }                  // missed intervals before reconnecting
+            },
+            audio: {
+                chunkMs: { type: 'number', default: 80, min: 20, max: 500 },
+                resamplerQuality: { type: 'string', default: 'high', values: ['low', 'medium', 'high'] }   // worklet anti-aliasing filter
+            },
+            capture: {
+                // Browser processing requested with getUserMedia (operators can change these in Settings)
+                echoCancellation: { type: 'boolean', default: true },
+                noiseSuppression: { type: 'boolean', default: true },
+                autoGainControl: { type: 'boolean', default: true },
+                // Client-side processing in the worklet, applied to the 16 kHz uplink and energy VAD
+                highPass: { type: 'boolean', default: false },
+                highPassHz: { type: 'number', default: 100, min: 20, max: 400 },
+                noiseGate: { type: 'boolean', default: false },
+                gateThresholdDb: { type: 'number', default: -50, min: -90, max: -10 },
+                agc: { type: 'boolean', default: false },
+                agcTargetDb: { type: 'number', default: -20, min: -40, max: -6 },
+                agcMaxGainDb: { type: 'number', default: 12, min: 0, max: 30 }
+            },
+            meter: {
+                deadMicSeconds: { type: 'number', default: 8, min: 2, max: 120 },     // silence before the "no audio" alert
+                silenceFloorDb: { type: 'number', default: -85, min: -120, max: -40 }  // input RMS below this counts as no audio
+            },
+            audioCheck: {
+                recordSeconds: { type: 'number', default: 4, min: 2, max: 15 },
+                validHours: { type: 'number', default: 8, min: 1, max: 24 }   // a pass covers calls for this long
+            },
+            ui: {
+                showLatencyPanel: { type: 'boolean', default: true },
+                showUplinkFormatSelect: { type: 'boolean', default: true }
+            }
+        };
+    }
+
+    static defaults() {
+        const values = {};
+        Object.entries(RuntimeConfig.SCHEMA).forEach(([section, fields]) => {
+            values[section] = {};
+            Object.entries(fields).forEach(([key, spec]) => {
+                values[section][key] = spec.default;
+            });
+        });
+        return values;
+    }
+
+    /**
+     * Check one value against its spec; returns an error string or null
+     */
+    static checkValue(spec, value) {
+        if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+            return `expected ${spec.type}, got ${JSON.stringify(value)}`;
+        }
+        if (spec.values && !spec.values.includes(value)) {
+            return `expected one of ${spec.values.join(', ')}, got ${JSON.stringify(value)}`;
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            return `${value} is below the minimum ${spec.min}`;
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            return `${value} is above the maximum ${spec.max}`;
+        }
+        return null;
+    }
+
+    constructor() {
+        this.values = RuntimeConfig.defaults();
+        this.sources = ['defaults'];
+        this.problems = [];
+    }
+
+    /**
+     * Overlay a partial config object; invalid or unknown entries are recorded and skipped
+     */
+    merge(overrides, sourceName) {
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            this.report(sourceName, '(root)', 'expected an object');
+            return;
+        }
+
+        const schema = RuntimeConfig.SCHEMA;
+        Object.entries(overrides).forEach(([section, fields]) => {
+            if (section.startsWith('$')) return; // e.g. "$comment"
+            if (!schema[section]) {
+                this.report(sourceName, section, 'unknown section');
+                return;
+            }
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                this.report(sourceName, section, 'expected an object');
+                return;
+            }
+
+            Object.entries(fields).forEach(([key, value]) => {
+                const spec = schema[section][key];
+                if (!spec) {
+                    this.report(sourceName, `${section}.${key}`, 'unknown setting');
+                    return;
+                }
+                const error = RuntimeConfig.checkValue(spec, value);
+                if (error) {
+                    this.report(sourceName, `${section}.${key}`, error);
+                    return;
+                }
+                this.values[section][key] = value;
+            });
+        });
+
+        this.sources.push(sourceName);
+    }
+
+    report(sourceName, path, problem) {
+        this.problems.push({ source: sourceName, path: path, problem: problem });
+        console.warn(`⚠️ Runtime config (${sourceName}) ${path}: ${problem} - using ${this.sources.length > 1 ? 'previous value' : 'default'}`);
+    }
+
+    /**
+     * Load the static config file; a missing or malformed file leaves the defaults in place
+     */
+    async loadFile(url = 'config.json') {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) {
+                console.log(`ℹ️ No runtime config at ${url} (${response.status}), using defaults`);
+                return false;
+            }
+            this.merge(await response.json(), url);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Could not load runtime config from ${url}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Overlay the client_config object of the backend's /config response (already fetched by
+     * Config's health check), if the deployment allows it
+     */
+    loadBackend(payload, sourceName = 'backend /config') {
+        if (!this.values.features.mergeBackendConfig || !payload || !payload.client_config) {
+            return false;
+        }
+        this.merge(payload.client_config, sourceName);
+        return true;
+    }
+
+    async load(backendPayload = null) {
+        await this.loadFile();
+        this.loadBackend(backendPayload);
+        console.log('⚙️ Runtime config loaded from', this.sources.join(' → '), this.values);
+        return this.values;
+    }
+
+    /**
+     * Read a value by dotted path, e.g. get('vad.sileroThreshold')
+     */
+    get(path) {
+        return path.split('.').reduce((node, key) => (node ? node[key] : undefined), this.values);
+    }
+
+    isEnabled(feature) {
+        return this.values.features[feature] === true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuntimeConfig;
+} else {
+    window.RuntimeConfig = RuntimeConfig;
+}
@@ -0,0 +1,286 @@
+/**
+ * Session Recorder / Replayer
+ * Opt-in capture of every inbound and outbound WebSocket message with timestamps,
+ * exported as a downloadable JSON file, and deterministic replay of the inbound side
+ * back through the app's message handler with the original timing.
+ *
+ * Audio payloads are left out unless includeAudio is set; their byte length is kept so
+ * replay can substitute silence of the same duration.
+ */
+
+class SessionRecorder {
+    static get FORMAT() {
+        return 'mark-ws-recording';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Message types whose audio field is stripped when audio isn't recorded
+     */
+    static get AUDIO_FIELDS() {
+        return {
+            ai_response_chunk: 'audio',
+            ai_response: 'audio',
+            simple_greeting: 'audio',
+            monitor_audio: 'audio',
+            audio_stream_realtime: 'data',
+            audio_stream: 'data'
+        };
+    }
+
+    static base64ByteLength(base64) {
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.floor((base64.length * 3) / 4) - padding;
+    }
+
+    static silenceBase64(byteLength) {
+        const remainder = byteLength % 3;
+        const tail = remainder === 1 ? 'AA==' : remainder === 2 ? 'AAA=' : '';
+        return 'A'.repeat(Math.floor(byteLength / 3) * 4) + tail;
+    }
+
+    static bytesToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            includeAudio: options.includeAudio || false,
+            maxEntries: options.maxEntries || 50000,
+            ...options
+        };
+
+        this.isRecording = false;
+        this.startedAt = null;
+        this.startTime = 0;
+        this.meta = {};
+        this.entries = [];
+        this.truncated = false;
+    }
+
+    start(meta = {}) {
+        this.entries = [];
+        this.truncated = false;
+        this.meta = meta;
+        this.startedAt = new Date().toISOString();
+        this.startTime = performance.now();
+        this.isRecording = true;
+        console.log(`⏺️ Recording WebSocket session (audio ${this.options.includeAudio ? 'included' : 'omitted'})`);
+    }
+
+    stop() {
+        this.isRecording = false;
+        console.log(`⏹️ Recording stopped (${this.entries.length} messages)`);
+    }
+
+    setIncludeAudio(includeAudio) {
+        this.options.includeAudio = includeAudio;
+    }
+
+    /**
+     * Capture one frame; direction is 'in' (server → client) or 'out' (client → server)
+     */
+    record(direction, data) {
+        if (!this.isRecording) return;
+
+        if (this.entries.length >= this.options.maxEntries) {
+            if (!this.truncated) {
+                console.warn(`⚠️ Recording reached ${this.options.maxEntries} messages, further messages dropped`);
+                this.truncated = true;
+            }
+            return;
+        }
+
+        const entry = {
+            t: Math.round(performance.now() - this.startTime),
+            dir: direction
+        };
+
+        if (typeof data === 'string') {
+            entry.kind = 'text';
+            entry.data = this.options.includeAudio ? data : SessionRecorder.stripAudio(data);
+        } else {
+            const byteLength = data.byteLength;
+            entry.kind = 'binary';
+            entry.byteLength = byteLength;
+            if (this.options.includeAudio) {
+                entry.data = SessionRecorder.bytesToBase64(data);
+            }
+        }
+
+        this.entries.push(entry);
+    }
+
+    /**
+     * Replace a text frame's audio payload with its byte length
+     */
+    static stripAudio(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return text; // Keep malformed frames verbatim - they're often the interesting part
+        }
+
+        const field = message && SessionRecorder.AUDIO_FIELDS[message.type];
+        if (!field || typeof message[field] !== 'string') {
+            return text;
+        }
+
+        message.audio_omitted_bytes = SessionRecorder.base64ByteLength(message[field]);
+        message[field] = '';
+        return JSON.stringify(message);
+    }
+
+    toJSON() {
+        return {
+            format: SessionRecorder.FORMAT,
+            version: SessionRecorder.VERSION,
+            startedAt: this.startedAt,
+            includeAudio: this.options.includeAudio,
+            truncated: this.truncated,
+            meta: this.meta,
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Trigger a browser download of the recording
+     */
+    download(filename = null) {
+        const name = filename || `mark-session-${(this.startedAt || new Date().toISOString()).replace(/[:.]/g, '-')}.json`;
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+class SessionReplayer {
+    constructor(recording, options = {}) {
+        this.recording = recording;
+        this.options = {
+            speed: options.speed || 1,
+            ...options
+        };
+
+        this.timers = [];
+        this.isPlaying = false;
+        this.delivered = 0;
+
+        // Callbacks
+        this.callbacks = {
+            onMessage: null, // (rawText) - feed into the app's WebSocket handler
+            onProgress: null, // (delivered, total)
+            onComplete: null
+        };
+    }
+
+    /**
+     * Parse and sanity-check a recording file's text
+     */
+    static parse(text) {
+        const recording = JSON.parse(text);
+        if (!recording || recording.format !== SessionRecorder.FORMAT || !Array.isArray(recording.entries)) {
+            throw new Error('Not a MARK WebSocket recording');
+        }
+        if (recording.version > SessionRecorder.VERSION) {
+            throw new Error(`Recording version ${recording.version} is newer than this client supports`);
+        }
+        return recording;
+    }
+
+    /**
+     * Restore omitted audio as silence so playback timing matches the original call
+     */
+    static restoreAudio(text) {
+        if (text.indexOf('audio_omitted_bytes') === -1) return text;
+        try {
+            const message = JSON.parse(text);
+            const field = SessionRecorder.AUDIO_FIELDS[message.type];
+            if (field && message.audio_omitted_bytes) {
+                message[field] = SessionRecorder.silenceBase64(message.audio_omitted_bytes);
+                delete message.audio_omitted_bytes;
+                return JSON.stringify(message);
+            }
+        } catch (error) {
+            // Fall through with the original text
+        }
+        return text;
+    }
+
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    get inboundEntries() {
+        return this.recording.entries.filter(entry => entry.dir === 'in' && entry.kind === 'text');
+    }
+
+    play() {
+        this.stop();
+        const entries = this.inboundEntries;
+        const origin = entries.length > 0 ? entries[0].t : 0;
+
+        this.isPlaying = true;
+        this.delivered = 0;
+        console.log(`▶️ Replaying ${entries.length} inbound messages at ${this.options.speed}x`);
+
+        entries.forEach((entry) => {
+            const timer = setTimeout(() => {
+                this.delivered++;
+                if (this.callbacks.onMessage) {
+                    this.callbacks.onMessage(SessionReplayer.restoreAudio(entry.data));
+                }
+                if (this.callbacks.onProgress) {
+                    this.callbacks.onProgress(this.delivered, entries.length);
+                }
+                if (this.delivered === entries.length) {
+                    this.finish();
+                }
+            }, (entry.t - origin) / this.options.speed);
+            this.timers.push(timer);
+        });
+
+        if (entries.length === 0) {
+            this.finish();
+        }
+    }
+
+    finish() {
+        this.isPlaying = false;
+        this.timers = [];
+        console.log('⏹️ Replay finished');
+        if (this.callbacks.onComplete) {
+            this.callbacks.onComplete();
+        }
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.isPlaying = false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionRecorder, SessionReplayer };
+} else {
+    window.SessionRecorder = SessionRecorder;
+    window.SessionReplayer = SessionReplayer;
+}
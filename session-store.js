@@ -0,0 +1,154 @@
+/**
+ * Session Store
+ * Keeps the signed-in session (tokens, session id, current customer, whether a call was live)
+ * and the conversation transcript in sessionStorage, so reloading the tab can pick the
+ * session back up instead of sending the operator to the login screen.
+ *
+ * sessionStorage is per tab and cleared when the tab closes; entries also expire after
+ * maxAgeMs without an update. The transcript is kept in memory and written at most once per
+ * flushDelayMs (and on flushTranscript()), so streamed AI text doesn't rewrite it per chunk.
+ */
+
+class SessionStore {
+    static get KEYS() {
+        return {
+            session: 'mark_session',
+            transcript: 'mark_transcript'
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = {
+            storage: options.storage || window.sessionStorage,
+            maxAgeMs: options.maxAgeMs || 12 * 60 * 60 * 1000,
+            maxTranscriptEntries: options.maxTranscriptEntries || 200,
+            flushDelayMs: options.flushDelayMs || 1000,
+            ...options
+        };
+        this.storage = this.options.storage;
+        this.transcript = null;      // in-memory copy, read from storage on first use
+        this.nextTranscriptId = 1;
+        this.flushTimer = null;
+    }
+
+    read(key) {
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn(`⚠️ Discarding unreadable ${key} from session storage`);
+            this.storage.removeItem(key);
+            return null;
+        }
+    }
+
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            // Quota exceeded or storage disabled - persistence is best effort
+            console.warn(`⚠️ Could not persist ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Snapshot of the signed-in session; replaces any previous one
+     */
+    saveSession(session) {
+        this.write(SessionStore.KEYS.session, { ...session, savedAt: Date.now() });
+    }
+
+    /**
+     * Saved session, or null when there is none or it has expired
+     */
+    loadSession() {
+        const session = this.read(SessionStore.KEYS.session);
+        if (!session) return null;
+
+        if (!session.sessionId || !session.token || Date.now() - session.savedAt > this.options.maxAgeMs) {
+            console.log('🗑️ Saved session is incomplete or expired');
+            this.clear();
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Append a transcript line; returns its id so streamed text can update it later
+     */
+    appendTranscript(entry) {
+        const transcript = this.loadTranscript();
+        const id = this.nextTranscriptId++;
+        transcript.push({ ...entry, id });
+
+        const overflow = transcript.length - this.options.maxTranscriptEntries;
+        if (overflow > 0) {
+            transcript.splice(0, overflow);
+        }
+
+        this.scheduleTranscriptFlush();
+        return id;
+    }
+
+    /**
+     * Replace the text of a line added by appendTranscript (streamed AI responses)
+     */
+    updateTranscript(id, text) {
+        const entry = this.loadTranscript().find(item => item.id === id);
+        if (entry) {
+            entry.text = text;
+            this.scheduleTranscriptFlush();
+        }
+    }
+
+    loadTranscript() {
+        if (!this.transcript) {
+            const stored = this.read(SessionStore.KEYS.transcript);
+            this.transcript = Array.isArray(stored) ? stored : [];
+            // Lines saved before ids existed get one now
+            this.transcript.forEach((entry) => {
+                if (typeof entry.id !== 'number') {
+                    entry.id = this.nextTranscriptId;
+                }
+                this.nextTranscriptId = Math.max(this.nextTranscriptId, entry.id + 1);
+            });
+        }
+        return this.transcript;
+    }
+
+    scheduleTranscriptFlush() {
+        // Not restarted by later changes, so a long streamed reply still lands every flushDelayMs
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flushTranscript(), this.options.flushDelayMs);
+    }
+
+    /**
+     * Write pending transcript changes now (end of an AI turn, page unload)
+     */
+    flushTranscript() {
+        if (!this.flushTimer) return;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.write(SessionStore.KEYS.transcript, this.transcript || []);
+    }
+
+    clearTranscript() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.transcript = [];
+        this.storage.removeItem(SessionStore.KEYS.transcript);
+    }
+
+    clear() {
+        this.clearTranscript();
+        this.transcript = null;
+        this.storage.removeItem(SessionStore.KEYS.session);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+} else {
+    window.SessionStore = SessionStore;
+}
@@ -0,0 +1,71 @@
+/**
+ * Shared Audio Ring
+ * Main-thread reader for the capture worklet's SharedArrayBuffer path. The worklet writes
+ * 16 kHz PCM16 chunks straight into shared memory and posts a tiny 'audioReady' note instead
+ * of transferring a new ArrayBuffer per chunk. Layout (mirrored by SharedPcm16Writer in
+ * audio-worklet-processor.js): Int32 [writeIndex, readIndex] header, then Int16 samples.
+ *
+ * SharedArrayBuffer is only available when the page is cross-origin isolated
+ * (Cross-Origin-Opener-Policy + Cross-Origin-Embedder-Policy headers).
+ */
+
+class SharedAudioRing {
+    static get HEADER_BYTES() {
+        return 8;
+    }
+
+    static get isSupported() {
+        return typeof SharedArrayBuffer !== 'undefined' &&
+            typeof Atomics !== 'undefined' &&
+            typeof window !== 'undefined' && window.crossOriginIsolated === true;
+    }
+
+    constructor(capacitySamples) {
+        this.buffer = new SharedArrayBuffer(SharedAudioRing.HEADER_BYTES + capacitySamples * 2);
+        this.header = new Int32Array(this.buffer, 0, 2);
+        this.samples = new Int16Array(this.buffer, SharedAudioRing.HEADER_BYTES, capacitySamples);
+        this.capacity = capacitySamples;
+    }
+
+    get available() {
+        const writeIndex = Atomics.load(this.header, 0);
+        const readIndex = Atomics.load(this.header, 1);
+        return (writeIndex - readIndex + this.capacity) % this.capacity;
+    }
+
+    /**
+     * Copy the next count samples out (or null if fewer are buffered) and free their space
+     */
+    read(count) {
+        if (this.available < count) return null;
+
+        const chunk = new Int16Array(count);
+        let readIndex = Atomics.load(this.header, 1);
+        const firstPart = Math.min(count, this.capacity - readIndex);
+        chunk.set(this.samples.subarray(readIndex, readIndex + firstPart));
+        if (firstPart < count) {
+            chunk.set(this.samples.subarray(0, count - firstPart), firstPart);
+        }
+        readIndex = (readIndex + count) % this.capacity;
+        Atomics.store(this.header, 1, readIndex);
+        return chunk;
+    }
+
+    /**
+     * Hand every complete chunk to onChunk(ArrayBuffer) - the same shape the worklet posts
+     */
+    drain(chunkSize, onChunk) {
+        let chunk = this.read(chunkSize);
+        while (chunk) {
+            onChunk(chunk.buffer);
+            chunk = this.read(chunkSize);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedAudioRing;
+} else {
+    window.SharedAudioRing = SharedAudioRing;
+}
@@ -0,0 +1,217 @@
+/**
+ * Tab Coordinator
+ * Makes sure only one browser tab owns the microphone and WebSocket for a session.
+ * Ownership is a Web Lock named after the session; a standby tab can steal it to take
+ * over, which tells the previous owner to stand down. A BroadcastChannel carries the
+ * owner's call state to standby tabs. Without Web Locks, ownership falls back to
+ * owner pings over the BroadcastChannel - a claiming tab asks first and the owner answers
+ * at once - and with neither API every tab owns its session.
+ */
+
+class TabCoordinator {
+    constructor(sessionId, options = {}) {
+        this.options = {
+            pingIntervalMs: options.pingIntervalMs || 2000,   // BroadcastChannel fallback only
+            claimWaitMs: options.claimWaitMs || 600,         // how long a 'query' waits for the owner's answer
+            ...options
+        };
+
+        this.sessionId = sessionId;
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.lockName = `mark-session-${sessionId}`;
+        this.isOwner = false;
+        this.ownerState = null;      // last state broadcast by the owning tab
+        this.releaseLock = null;     // resolves the held Web Lock's callback
+        this.pingTimer = null;
+        this.lastOwnerPing = 0;
+
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(`mark-tabs-${sessionId}`)
+            : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleMessage(event.data || {});
+        }
+
+        // Callbacks
+        this.callbacks = {
+            onLost: null,         // another tab took over
+            onOwnerState: null    // (state) owner's call state, for standby tabs
+        };
+    }
+
+    static get hasWebLocks() {
+        return typeof navigator !== 'undefined' && !!navigator.locks;
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Try to become the owner without waiting; resolves true if this tab now owns the session
+     */
+    async claim() {
+        if (TabCoordinator.hasWebLocks) {
+            return this.requestLock({ ifAvailable: true });
+        }
+        if (this.channel) {
+            return this.claimByPing();
+        }
+        this.becomeOwner();
+        return true;
+    }
+
+    /**
+     * Take ownership from whichever tab holds it
+     */
+    async takeOver() {
+        if (this.isOwner) return true;
+
+        this.post({ type: 'takeover' });
+        if (TabCoordinator.hasWebLocks) {
+            return this.requestLock({ steal: true });
+        }
+        this.becomeOwner();
+        return true;
+    }
+
+    requestLock(lockOptions) {
+        return new Promise((resolve) => {
+            navigator.locks.request(this.lockName, lockOptions, (lock) => {
+                if (!lock) {
+                    resolve(false);
+                    return undefined;
+                }
+                this.becomeOwner();
+                resolve(true);
+                // Hold the lock until release() or until another tab steals it
+                return new Promise((release) => {
+                    this.releaseLock = release;
+                });
+            }).catch((error) => {
+                // A stolen lock rejects the holder's request with AbortError
+                if (error.name === 'AbortError' && this.isOwner) {
+                    this.loseOwnership();
+                } else if (error.name !== 'AbortError') {
+                    console.warn('⚠️ Tab lock request failed:', error);
+                }
+                resolve(false);
+            });
+        });
+    }
+
+    async claimByPing() {
+        // Ask for an existing owner - it answers immediately rather than at its next ping
+        this.post({ type: 'query' });
+        await new Promise(resolve => setTimeout(resolve, this.options.claimWaitMs));
+        if (Date.now() - this.lastOwnerPing < this.options.pingIntervalMs * 2) {
+            return false;
+        }
+        this.becomeOwner();
+        return true;
+    }
+
+    becomeOwner() {
+        this.isOwner = true;
+        console.log(`🗂️ Tab ${this.tabId} owns session ${this.sessionId}`);
+        this.post({ type: 'owner', state: this.ownerState });
+
+        if (!TabCoordinator.hasWebLocks && this.channel) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = setInterval(() => this.post({ type: 'owner', state: this.ownerState }), this.options.pingIntervalMs);
+        }
+    }
+
+    loseOwnership() {
+        if (!this.isOwner) return;
+        this.isOwner = false;
+        this.releaseLock = null;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        console.log(`🗂️ Tab ${this.tabId} handed session ${this.sessionId} to another tab`);
+        if (this.callbacks.onLost) {
+            this.callbacks.onLost();
+        }
+    }
+
+    handleMessage(message) {
+        if (message.tabId === this.tabId) return;
+
+        switch (message.type) {
+            case 'owner':
+                this.lastOwnerPing = Date.now();
+                // Ping fallback: another tab took over while we still thought we owned it
+                if (this.isOwner && !TabCoordinator.hasWebLocks) {
+                    this.loseOwnership();
+                }
+                this.receiveOwnerState(message.state);
+                break;
+            case 'state':
+                this.receiveOwnerState(message.state);
+                break;
+            case 'query':
+                // A new tab is deciding whether to claim; tell it this one owns the session
+                if (this.isOwner) {
+                    this.post({ type: 'owner', state: this.ownerState });
+                }
+                break;
+            case 'takeover':
+                // With Web Locks the steal itself notifies us; this covers the ping fallback
+                if (this.isOwner && !TabCoordinator.hasWebLocks) {
+                    this.loseOwnership();
+                }
+                break;
+        }
+    }
+
+    receiveOwnerState(state) {
+        if (!state) return;
+        this.ownerState = state;
+        if (!this.isOwner && this.callbacks.onOwnerState) {
+            this.callbacks.onOwnerState(state);
+        }
+    }
+
+    /**
+     * Owner-side: share call state (e.g. { callActive, customerIndex }) with standby tabs
+     */
+    publishState(state) {
+        this.ownerState = state;
+        if (this.isOwner) {
+            this.post({ type: 'state', state: state });
+        }
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, tabId: this.tabId, sessionId: this.sessionId });
+        }
+    }
+
+    /**
+     * Give up ownership (logout) and stop listening
+     */
+    close() {
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+        this.isOwner = false;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabCoordinator;
+} else {
+    window.TabCoordinator = TabCoordinator;
+}
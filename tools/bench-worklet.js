@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Benchmark the capture worklet's process() in Node (npm run bench:worklet).
+ *
+ *   node tools/bench-worklet.js [--baseline <git-ref>] [--seconds 30] [--rate 48000] [--quality high]
+ *
+ * Feeds a speech-like signal through the processor in 128-sample render quanta, the way the
+ * browser's audio thread does, and reports the CPU cost per quantum (mean, p50, p99, max and
+ * share of the real-time budget) plus the garbage collections that happened meanwhile.
+ * With --baseline, the worklet at that git revision is measured first for a before/after view.
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { PerformanceObserver } = require('perf_hooks');
+const { loadWorklet, WORKLET_PATH } = require('./worklet-harness');
+
+const QUANTUM = 128;
+const WARMUP_QUANTA = 500;
+
+function parseArgs(argv) {
+    const options = { baseline: null, seconds: 30, rate: 48000, quality: 'high', chunkSize: 1280 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (key === 'baseline') options.baseline = value;
+        else if (key === 'seconds') options.seconds = Number(value);
+        else if (key === 'rate') options.rate = Number(value);
+        else if (key === 'quality') options.quality = value;
+        else throw new Error(`Unknown option --${key}`);
+    }
+    return options;
+}
+
+// Voiced-speech stand-in: a few harmonics with a slow envelope, plus broadband noise that
+// reaches above 8 kHz so the resampler has real work to do
+function makeSignal(rate, seconds) {
+    const samples = new Float32Array(Math.round(rate * seconds));
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff - 0.5;
+    };
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / rate;
+        const envelope = 0.5 + 0.5 * Math.sin(2 * Math.PI * 3 * t);
+        const voiced = Math.sin(2 * Math.PI * 140 * t) + 0.5 * Math.sin(2 * Math.PI * 280 * t) + 0.25 * Math.sin(2 * Math.PI * 2400 * t);
+        samples[i] = 0.25 * envelope * voiced + 0.02 * noise();
+    }
+    return samples;
+}
+
+function readRevision(ref) {
+    return execFileSync('git', ['show', `${ref}:${path.basename(WORKLET_PATH)}`], {
+        cwd: path.dirname(WORKLET_PATH),
+        encoding: 'utf8'
+    });
+}
+
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+async function run(label, source, options, signal) {
+    const { Processor } = loadWorklet({ source, inputRate: options.rate, filename: label });
+    const processor = new Processor({ processorOptions: { chunkSize: options.chunkSize, resamplerQuality: options.quality } });
+    let chunks = 0;
+    processor.port.postMessage = (message) => {
+        if (message.type === 'audioData') chunks++;
+    };
+
+    // Preallocated input blocks, so the harness itself adds no garbage
+    const blocks = [];
+    for (let offset = 0; offset + QUANTUM <= signal.length; offset += QUANTUM) {
+        blocks.push([[signal.subarray(offset, offset + QUANTUM)]]);
+    }
+    const quanta = Math.round(options.seconds * options.rate / QUANTUM);
+    const durations = new Float64Array(quanta);
+
+    for (let i = 0; i < WARMUP_QUANTA; i++) {
+        processor.process(blocks[i % blocks.length]);
+    }
+
+    const gcEvents = [];
+    const observer = new PerformanceObserver((list) => gcEvents.push(...list.getEntries()));
+    observer.observe({ entryTypes: ['gc'] });
+
+    const startedAt = process.hrtime.bigint();
+    for (let i = 0; i < quanta; i++) {
+        const before = process.hrtime.bigint();
+        processor.process(blocks[i % blocks.length]);
+        durations[i] = Number(process.hrtime.bigint() - before) / 1000;
+    }
+    const totalMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    // GC entries are delivered asynchronously, a little after the collections themselves
+    await new Promise(resolve => setTimeout(resolve, 250));
+    observer.disconnect();
+
+    const sorted = Float64Array.from(durations).sort();
+    const mean = durations.reduce((sum, value) => sum + value, 0) / quanta;
+    const budgetUs = QUANTUM / options.rate * 1e6;
+    return {
+        label,
+        mean,
+        p50: percentile(sorted, 0.5),
+        p99: percentile(sorted, 0.99),
+        max: sorted[sorted.length - 1],
+        budgetShare: mean / budgetUs,
+        overBudget: durations.filter(value => value > budgetUs).length,
+        gcCount: gcEvents.length,
+        gcMs: gcEvents.reduce((sum, entry) => sum + entry.duration, 0),
+        totalMs,
+        chunks
+    };
+}
+
+function report(result) {
+    console.log(`${result.label}`);
+    console.log(`  per quantum: mean ${result.mean.toFixed(2)} µs, p50 ${result.p50.toFixed(2)} µs, p99 ${result.p99.toFixed(2)} µs, max ${result.max.toFixed(1)} µs`);
+    console.log(`  budget use:  ${(result.budgetShare * 100).toFixed(2)}% of real time, ${result.overBudget} quanta over budget`);
+    console.log(`  GC:          ${result.gcCount} collections, ${result.gcMs.toFixed(1)} ms paused`);
+    console.log(`  output:      ${result.chunks} chunks in ${result.totalMs.toFixed(0)} ms`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const signal = makeSignal(options.rate, 5);
+    console.log(`Benchmarking ${options.seconds}s of ${options.rate} Hz capture, ${options.quality} quality, ` +
+        `${QUANTUM}-sample quanta (budget ${(QUANTUM / options.rate * 1e6).toFixed(0)} µs each)\n`);
+
+    const results = [];
+    if (options.baseline) {
+        results.push(await run(`before (${options.baseline})`, readRevision(options.baseline), options, signal));
+        report(results[0]);
+    }
+    const current = await run('current', undefined, options, signal);
+    results.push(current);
+    report(current);
+
+    if (results.length === 2) {
+        const [before, after] = results;
+        console.log(`\nmean ${before.mean.toFixed(2)} → ${after.mean.toFixed(2)} µs, p99 ${before.p99.toFixed(2)} → ${after.p99.toFixed(2)} µs, ` +
+            `GC ${before.gcCount} → ${after.gcCount} collections`);
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
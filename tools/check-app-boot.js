@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Offline boot check of the frontend (npm run check:boot).
+ *
+ * Runs the local <script> tags of index.html, in page order, in one vm context with a stubbed
+ * DOM and browser APIs, then fires DOMContentLoaded with the backend unreachable. The page's
+ * bootstrap must construct SalesAgentApp and call init() - a constructor that touches a
+ * member before it is created, or a script that throws at load, fails here instead of leaving
+ * the operator on a blank page. Exits 1 on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Any property, call or construction yields another stub (bar the given overrides), so DOM
+// wiring runs without a page
+function stub(overrides = {}) {
+    const target = function () {};
+    const proxy = new Proxy(target, {
+        get: (object, key) => {
+            if (Object.prototype.hasOwnProperty.call(overrides, key)) return overrides[key];
+            if (key === Symbol.toPrimitive) return () => '';
+            if (key === 'then') return undefined;   // not a thenable
+            return proxy;
+        },
+        set: () => true,
+        apply: () => proxy,
+        construct: () => proxy
+    });
+    return proxy;
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+function localScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script\s+src="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(src => !/^https?:/.test(src))
+        .map(src => src.split('?')[0]);
+}
+
+async function main() {
+    const failures = [];
+    const fail = (message) => {
+        failures.push(message);
+        console.error(`❌ ${message}`);
+    };
+
+    const listeners = {};
+    const document = stub({
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        }
+    });
+    const windowStub = {
+        document,
+        location: new URL('http://localhost:8080/'),
+        navigator: { userAgent: 'check-app-boot' },
+        localStorage: memoryStorage(),
+        sessionStorage: memoryStorage(),
+        // The app's own logging stays quiet; expected failures (no backend, no ONNX runtime) aren't findings
+        console: { log() {}, info() {}, debug() {}, warn() {}, error() {} },
+        // Backend down and no config.json: the page must still come up on defaults
+        fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+        AbortController,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        atob,
+        btoa,
+        performance,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    };
+    const context = vm.createContext(windowStub);
+    windowStub.window = context;
+    windowStub.self = context;
+
+    // Timers the app starts must not keep this process alive
+    const timers = [];
+    ['setTimeout', 'setInterval'].forEach((name) => {
+        windowStub[name] = (...args) => {
+            const timer = global[name](...args);
+            timers.push(timer);
+            return timer;
+        };
+    });
+
+    const scripts = localScripts();
+    for (const src of scripts) {
+        try {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+        } catch (error) {
+            fail(`${src} threw while loading: ${error.stack || error}`);
+        }
+    }
+    console.log(`Loaded ${scripts.length} scripts: ${scripts.join(', ')}`);
+
+    // Note the bootstrap's init() call (and what it returns) without changing what it does
+    const booted = vm.runInContext(`
+        (() => {
+            const state = { initialized: false, result: null };
+            const init = SalesAgentApp.prototype.init;
+            SalesAgentApp.prototype.init = function (...args) {
+                state.initialized = true;
+                state.result = init.apply(this, args);
+                return state.result;
+            };
+            return state;
+        })()
+    `, context);
+
+    if (!listeners.DOMContentLoaded) {
+        fail('no DOMContentLoaded handler registered');
+    } else {
+        try {
+            await Promise.all(listeners.DOMContentLoaded.map(listener => listener()));
+        } catch (error) {
+            fail(`DOMContentLoaded handler threw: ${error.stack || error}`);
+        }
+    }
+    if (!booted.initialized) {
+        fail('SalesAgentApp was not constructed and initialized');
+    } else {
+        try {
+            await booted.result;
+            console.log('SalesAgentApp constructed and initialized');
+        } catch (error) {
+            fail(`SalesAgentApp.init() threw: ${error.stack || error}`);
+        }
+    }
+
+    timers.forEach((timer) => {
+        clearTimeout(timer);
+        clearInterval(timer);
+    });
+    console.log(failures.length ? `\n❌ ${failures.length} boot check(s) failed` : '\n✅ App boot check passed');
+    process.exit(failures.length ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Offline check of the audio worklet's resampler (npm run check:resampler).
+ *
+ * Loads audio-worklet-processor.js through worklet-harness.js, then for each capture rate
+ * and quality level:
+ *   - passband: tones the STT needs must come through at unity gain
+ *   - aliasing: tones and a sweep above 8 kHz must be attenuated, not folded into the speech band
+ *   - chunking: feeding 128-sample render quanta through the processor must give the same
+ *     samples as resampling the whole signal in one call
+ * The legacy linear interpolator is measured alongside for comparison. Exits 1 on failure.
+ */
+
+const { loadWorklet } = require('./worklet-harness');
+
+const OUTPUT_RATE = 16000;
+const INPUT_RATES = [44100, 48000];
+const QUALITIES = ['low', 'medium', 'high'];
+const DURATION_S = 1;
+
+// Highest stopband leakage (dB relative to the input tone) accepted per quality level
+const MAX_ALIAS_DB = { low: -35, medium: -55, high: -70 };
+const MAX_PASSBAND_ERROR_DB = 0.5;
+const PASSBAND_TONES = [300, 1000, 3000, 6000];
+const STOPBAND_TONES = [9000, 10000, 12000, 15000, 20000];
+
+function tone(frequency, rate, seconds, amplitude = 0.5) {
+    const samples = new Float32Array(Math.round(rate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / rate);
+    }
+    return samples;
+}
+
+// Linear chirp from startHz to endHz
+function sweep(startHz, endHz, rate, seconds, amplitude = 0.5) {
+    const samples = new Float32Array(Math.round(rate * seconds));
+    const slope = (endHz - startHz) / seconds;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / rate;
+        samples[i] = amplitude * Math.sin(2 * Math.PI * (startHz * t + slope * t * t / 2));
+    }
+    return samples;
+}
+
+// RMS, skipping the filter's start-up transient
+function rms(samples, skip = 200) {
+    let sum = 0;
+    for (let i = skip; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / Math.max(1, samples.length - skip));
+}
+
+const toDb = (ratio) => 20 * Math.log10(Math.max(ratio, 1e-12));
+
+// The interpolator the worklet used before, for comparison
+function linearResample(buffer, inRate, outRate) {
+    const ratio = inRate / outRate;
+    const result = new Float32Array(Math.floor(buffer.length / ratio));
+    for (let i = 0; i < result.length; i++) {
+        const index = i * ratio;
+        const floor = Math.floor(index);
+        const ceil = Math.min(floor + 1, buffer.length - 1);
+        const fraction = index - floor;
+        result[i] = buffer[floor] * (1 - fraction) + buffer[ceil] * fraction;
+    }
+    return result;
+}
+
+function gainDb(resample, input) {
+    return toDb(rms(resample(input)) / rms(input, 0));
+}
+
+function checkChunking(Processor, PolyphaseResampler, inputRate, quality) {
+    const signal = sweep(100, inputRate / 2, inputRate, DURATION_S, 0.8);
+    const expected = new PolyphaseResampler(inputRate, OUTPUT_RATE, quality).process(signal);
+
+    const received = [];
+    const processor = new Processor({ processorOptions: { chunkSize: 320, resamplerQuality: quality } });
+    processor.port.postMessage = (message) => {
+        if (message.type === 'audioData') {
+            received.push(...new Int16Array(message.data));
+        }
+    };
+    for (let offset = 0; offset < signal.length; offset += 128) {
+        processor.process([[signal.subarray(offset, offset + 128)]]);
+    }
+
+    let maxError = 0;
+    for (let i = 0; i < received.length; i++) {
+        const sample = Math.max(-1, Math.min(1, expected[i]));
+        const quantized = Math.trunc(sample < 0 ? sample * 32768 : sample * 32767);
+        maxError = Math.max(maxError, Math.abs(received[i] - quantized));
+    }
+    return { samples: received.length, maxError };
+}
+
+function main() {
+    const failures = [];
+    const fail = (message) => {
+        failures.push(message);
+        console.log(`  ✗ ${message}`);
+    };
+
+    for (const inputRate of INPUT_RATES) {
+        const { Processor, PolyphaseResampler } = loadWorklet({ inputRate, exports: ['PolyphaseResampler'] });
+        console.log(`\n${inputRate} Hz → ${OUTPUT_RATE} Hz`);
+
+        const aliasSweep = sweep(8500, inputRate / 2, inputRate, DURATION_S);
+        const linear = (input) => linearResample(input, inputRate, OUTPUT_RATE);
+        const linearWorst = Math.max(...STOPBAND_TONES.map(f => gainDb(linear, tone(f, inputRate, DURATION_S))));
+        console.log(`  linear (old)  worst alias ${linearWorst.toFixed(1)} dB, sweep ${gainDb(linear, aliasSweep).toFixed(1)} dB`);
+
+        for (const quality of QUALITIES) {
+            const resample = (input) => new PolyphaseResampler(inputRate, OUTPUT_RATE, quality).process(input);
+
+            const passband = PASSBAND_TONES.map(f => ({ f, db: gainDb(resample, tone(f, inputRate, DURATION_S)) }));
+            const stopband = STOPBAND_TONES.map(f => ({ f, db: gainDb(resample, tone(f, inputRate, DURATION_S)) }));
+            const sweepDb = gainDb(resample, aliasSweep);
+            const worstAlias = Math.max(...stopband.map(entry => entry.db), sweepDb);
+            const chunking = checkChunking(Processor, PolyphaseResampler, inputRate, quality);
+
+            console.log(`  ${quality.padEnd(13)} worst alias ${worstAlias.toFixed(1)} dB, sweep ${sweepDb.toFixed(1)} dB, ` +
+                `passband ${passband.map(entry => `${entry.f}Hz ${entry.db.toFixed(2)}`).join(' / ')} dB, ` +
+                `chunked max error ${chunking.maxError} LSB over ${chunking.samples} samples`);
+
+            passband
+                .filter(entry => Math.abs(entry.db) > MAX_PASSBAND_ERROR_DB)
+                .forEach(entry => fail(`${inputRate} Hz ${quality}: ${entry.f} Hz passband gain ${entry.db.toFixed(2)} dB`));
+            if (worstAlias > MAX_ALIAS_DB[quality]) {
+                fail(`${inputRate} Hz ${quality}: aliasing ${worstAlias.toFixed(1)} dB exceeds ${MAX_ALIAS_DB[quality]} dB`);
+            }
+            if (chunking.maxError > 1) {
+                fail(`${inputRate} Hz ${quality}: chunked output differs by ${chunking.maxError} LSB`);
+            }
+        }
+    }
+
+    console.log(failures.length ? `\n❌ ${failures.length} resampler check(s) failed` : '\n✅ Resampler checks passed');
+    process.exit(failures.length ? 1 : 0);
+}
+
+main();
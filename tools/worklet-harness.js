@@ -0,0 +1,40 @@
+/**
+ * Runs audio-worklet-processor.js outside the browser for the tools in this folder.
+ * The worklet source is evaluated in a vm context with just enough of the AudioWorklet
+ * globals (sampleRate, currentTime, AudioWorkletProcessor, registerProcessor) to run it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKLET_PATH = path.join(__dirname, '..', 'audio-worklet-processor.js');
+
+/**
+ * Evaluate worklet source at the given capture rate. Returns the registered processor class
+ * and any top-level classes named in `exports` (e.g. ['PolyphaseResampler']).
+ */
+function loadWorklet({ source = fs.readFileSync(WORKLET_PATH, 'utf8'), inputRate = 48000, exports = [], filename = WORKLET_PATH } = {}) {
+    let Processor = null;
+    const context = vm.createContext({
+        sampleRate: inputRate,
+        currentTime: 0,
+        Atomics,
+        SharedArrayBuffer,
+        console: { log() {}, warn: console.warn, error: console.error },
+        AudioWorkletProcessor: class {
+            constructor() {
+                this.port = { postMessage: () => {}, onmessage: null };
+            }
+        },
+        registerProcessor: (name, processorClass) => {
+            Processor = processorClass;
+        }
+    });
+
+    // Top-level class declarations aren't properties of the context, so return them explicitly
+    const exported = vm.runInContext(`${source}\n;({ ${exports.map(name => `${name}: typeof ${name} === 'undefined' ? null : ${name}`).join(', ')} })`, context, { filename });
+    return { Processor, ...exported };
+}
+
+module.exports = { loadWorklet, WORKLET_PATH };